@@ -14,10 +14,92 @@
         resetScale: new BS.Vector3(1, 1, 1),
         instance: window.location.href.split('?')[0], // Default to current URL without query params to avoid mismatches
         hideUI: false,
+        hidePanel: false,
+        panelPosition: new BS.Vector3(3.6, 1, 0), // Move list / status panel, relative to the board
         hideBoard: false,
         piecesOpacity: 1.0,
         lighting: 'unlit',
-        addLights: true
+        addLights: true,
+        seatTimeout: 60, // Seconds before a seat held by a user who left the space is released
+        timeControl: null, // { initial, increment } in milliseconds, parsed from e.g. "5+3"
+        ai: null, // 'w' or 'b': the side played by the computer
+        aiLevel: 2, // Search depth of the computer opponent, 1 to AI_MAX_LEVEL
+        moveDuration: 300, // Milliseconds a piece takes to glide to its new square; 0 teleports
+        sound: true, // Sound effects for moves, check and the end of the game
+        volume: 0.5, // Sound effect volume, 0 to 1
+        startFen: null, // Position new games start from, e.g. for lessons
+        startPgn: null, // Game new games start from; takes precedence over startFen
+        variant: 'standard', // 'standard', 'chess960', 'kingofthehill' or 'threecheck'
+        variantSeed: null, // Chess960 starting position (0-959); random for every new game when null
+        archiveSize: 30, // Finished games kept in the space's archive; 0 turns the archive off
+        moderators: [], // uids that may always reset the board, and lock it in lock mode
+        lock: false, // Let moderators lock the board against resets, with the lock kept in protected space props
+        match: null, // Number of games in a best-of-N match between the seated players; null for single games
+        theme: 'classic', // Colour preset from THEMES
+        colors: {}, // Per-colour overrides of the theme, e.g. { white: '#FFFFFF' }
+        chessCdn: true, // Fall back to chess.js from cdnjs if the bundled copy can't be loaded
+        modelsBase: null, // URL of a folder with White/ and Black/ piece models; null uses the bundled ones
+        mode: 'game', // 'game', or 'puzzle' to work through the puzzles in `puzzlesUrl`
+        puzzlesUrl: 'puzzles.json' // JSON list of puzzles, relative to Chess.js
+    };
+
+    // Colour presets. `white`/`black` are the light and dark squares.
+    const THEMES = {
+        classic: {
+            white: '#EEEEEE', black: '#333333', selected: '#76F250', valid: '#50ABF2',
+            highlight: '#E3C662', check: '#E04848', whitePiece: '#D4AF37', blackPiece: '#222222'
+        },
+        wood: {
+            white: '#F0D9B5', black: '#B58863', selected: '#829769', valid: '#6A9FB5',
+            highlight: '#CDD26A', check: '#D9534F', whitePiece: '#F5E6C8', blackPiece: '#3B2A1A'
+        },
+        tournament: {
+            white: '#EEEED2', black: '#769656', selected: '#BACA44', valid: '#5DA9E9',
+            highlight: '#F6F669', check: '#E04848', whitePiece: '#FAFAFA', blackPiece: '#1A1A1A'
+        },
+        ice: {
+            white: '#DEE3E6', black: '#8CA2AD', selected: '#8FD694', valid: '#3C7DD9',
+            highlight: '#E8D17A', check: '#E04848', whitePiece: '#FFFFFF', blackPiece: '#27374D'
+        },
+        night: {
+            white: '#5A5A66', black: '#26262E', selected: '#4CAF50', valid: '#2979FF',
+            highlight: '#B39B3C', check: '#C62828', whitePiece: '#E0E0E0', blackPiece: '#8B1E1E'
+        }
+    };
+    // URL parameter for each overridable colour
+    const COLOR_PARAMS = {
+        lightColor: 'white', darkColor: 'black', selectedColor: 'selected', validColor: 'valid',
+        highlightColor: 'highlight', checkColor: 'check', whitePieceColor: 'whitePiece', blackPieceColor: 'blackPiece'
+    };
+
+    // Helper to parse a hex colour; the leading '#' is optional, as it must be encoded in URLs.
+    const parseHexColor = (str) => {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec((str || '').trim());
+        return match ? '#' + match[1].toUpperCase() : null;
+    };
+    const AI_MAX_LEVEL = 3;
+
+    // Helper to parse a "minutes+increment" time control such as "5+3" or "10".
+    // An unencoded '+' in the query string arrives as a space, so accept both.
+    const parseTimeControl = (str) => {
+        const match = /^\s*(\d+(?:\.\d+)?)(?:[\s+]+(\d+(?:\.\d+)?))?\s*$/.exec(str || '');
+        if (!match) return null;
+        const initial = parseFloat(match[1]) * 60 * 1000;
+        const increment = parseFloat(match[2] || '0') * 1000;
+        return initial > 0 ? { initial, increment } : null;
+    };
+
+    // Display names of the supported variants, as used in PGN Variant headers
+    const VARIANTS = {
+        standard: 'Standard', chess960: 'Chess960', kingofthehill: 'King of the Hill', threecheck: 'Three-check'
+    };
+
+    // Helper to resolve a variant name such as "Chess960", "koth" or "Three-check"
+    const parseVariant = (str) => {
+        const key = (str || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const aliases = { '960': 'chess960', fischerrandom: 'chess960', fischerandom: 'chess960', koth: 'kingofthehill', '3check': 'threecheck' };
+        const name = aliases[key] || key;
+        return VARIANTS[name] ? name : null;
     };
 
     // Helper to parse Vector3 from string
@@ -42,10 +124,96 @@
 
         if (params.has('hideBoard')) config.hideBoard = params.get('hideBoard') === 'true';
         if (params.has('hideUI')) config.hideUI = params.get('hideUI') === 'true';
+        if (params.has('hidePanel')) config.hidePanel = params.get('hidePanel') === 'true';
         if (params.has('instance')) config.instance = params.get('instance');
         if (params.has('lighting')) config.lighting = params.get('lighting');
         if (params.has('addLights')) config.addLights = params.get('addLights') !== 'false';
 
+        if (params.has('seatTimeout')) {
+            const timeout = parseFloat(params.get('seatTimeout'));
+            if (!isNaN(timeout)) config.seatTimeout = Math.max(0, timeout);
+        }
+
+        if (params.has('ai')) {
+            const side = params.get('ai').toLowerCase();
+            if (side === 'white' || side === 'w') config.ai = 'w';
+            else if (side === 'black' || side === 'b') config.ai = 'b';
+            else console.warn("Ignoring invalid ai side:", params.get('ai'));
+        }
+        if (params.has('aiLevel')) {
+            const level = parseInt(params.get('aiLevel'));
+            if (!isNaN(level)) config.aiLevel = Math.max(1, Math.min(AI_MAX_LEVEL, level));
+        }
+
+        if (params.has('moveDuration')) {
+            const duration = parseFloat(params.get('moveDuration'));
+            if (!isNaN(duration)) config.moveDuration = Math.max(0, duration);
+        }
+
+        if (params.has('sound')) config.sound = params.get('sound') !== 'false';
+        if (params.has('volume')) {
+            const volume = parseFloat(params.get('volume'));
+            if (!isNaN(volume)) config.volume = Math.max(0, Math.min(1, volume));
+        }
+
+        if (params.has('fen')) config.startFen = params.get('fen');
+        if (params.has('pgn')) config.startPgn = params.get('pgn');
+
+        if (params.has('variant')) {
+            const variant = parseVariant(params.get('variant'));
+            if (variant) config.variant = variant;
+            else console.warn("Ignoring unknown variant:", params.get('variant'));
+        }
+        if (params.has('seed')) {
+            const seed = parseInt(params.get('seed'));
+            if (seed >= 0 && seed < 960) config.variantSeed = seed;
+        }
+
+        if (params.has('archiveSize')) {
+            const size = parseInt(params.get('archiveSize'));
+            if (!isNaN(size)) config.archiveSize = Math.max(0, size);
+        }
+
+        if (params.has('moderators')) config.moderators = params.get('moderators').split(',').map(uid => uid.trim()).filter(Boolean);
+        if (params.has('lock')) config.lock = params.get('lock') === 'true';
+
+        if (params.has('match')) {
+            const games = parseInt(params.get('match'));
+            if (games >= 1) config.match = games;
+            else console.warn("Ignoring invalid match length:", params.get('match'));
+        }
+
+        if (params.has('timeControl')) {
+            config.timeControl = parseTimeControl(params.get('timeControl'));
+            if (!config.timeControl) console.warn("Ignoring invalid timeControl:", params.get('timeControl'));
+        }
+
+        if (params.has('theme')) {
+            const theme = params.get('theme').toLowerCase();
+            if (THEMES[theme]) config.theme = theme;
+            else console.warn("Ignoring unknown theme:", params.get('theme'));
+        }
+        for (const [param, key] of Object.entries(COLOR_PARAMS)) {
+            if (!params.has(param)) continue;
+            const color = parseHexColor(params.get(param));
+            if (color) config.colors[key] = color;
+            else console.warn(`Ignoring invalid ${param}:`, params.get(param));
+        }
+        if (params.has('chessCdn')) config.chessCdn = params.get('chessCdn') !== 'false';
+        if (params.has('modelsBase')) config.modelsBase = params.get('modelsBase');
+
+        if (params.has('mode')) {
+            const mode = params.get('mode').toLowerCase();
+            if (mode === 'game' || mode === 'puzzle') config.mode = mode;
+            else console.warn("Ignoring unknown mode:", params.get('mode'));
+        }
+        if (params.has('puzzles')) config.puzzlesUrl = params.get('puzzles');
+        if (config.mode === 'puzzle') {
+            // Puzzles are standard chess, and the solution plays the other side.
+            config.variant = 'standard';
+            config.ai = null;
+        }
+
         if (params.has('piecesOpacity')) {
             const opacity = parseFloat(params.get('piecesOpacity'));
             if (!isNaN(opacity)) {
@@ -57,6 +225,7 @@
         config.boardPosition = parseVector3(params.get('boardPosition'), config.boardPosition);
         config.boardRotation = parseVector3(params.get('boardRotation'), config.boardRotation);
 
+        config.panelPosition = parseVector3(params.get('panelPosition'), config.panelPosition);
         config.resetPosition = parseVector3(params.get('resetPosition'), config.resetPosition);
         config.resetRotation = parseVector3(params.get('resetRotation'), config.resetRotation);
         config.resetScale = parseVector3(params.get('resetScale'), config.resetScale);
@@ -74,22 +243,161 @@
         });
     };
 
+    // chess.js 0.10.3 is bundled in js/ next to Chess.js; the CDN copy is only tried if that fails.
+    const CHESS_JS_FILE = 'js/chess.js';
+    const CHESS_JS_CDN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.3/chess.min.js';
+    let chessJsUrl = null; // Where chess.js was loaded from; null if the page already had it
+
+    // URLs to load chess.js from, in order of preference
+    const getChessJsUrls = () => {
+        const bundled = currentScript ? new URL(CHESS_JS_FILE, currentScript.src).href : CHESS_JS_FILE;
+        return config.chessCdn ? [bundled, CHESS_JS_CDN_URL] : [bundled];
+    };
+
+    // Resolves to the URL chess.js was loaded from, or null if the page already had it
+    const loadChessJs = async () => {
+        // A page that loads its own chess.js keeps it; ChessAdapter copes with either API.
+        if (typeof Chess !== 'undefined') return null;
+        for (const url of getChessJsUrls()) {
+            try {
+                await loadScript(url);
+                return url;
+            } catch (err) {
+                console.warn("Could not load chess.js from", url);
+            }
+        }
+        throw new Error("chess.js could not be loaded.");
+    };
+
+    // Every board on the page waits on the same load. A second board would otherwise find the
+    // script tag already added and carry on before chess.js had run.
     const loadDependencies = async () => {
-        const deps = [];
-        if (typeof Chess === 'undefined') deps.push(loadScript('https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.3/chess.min.js')); // Using CDN for Embed
-        await Promise.all(deps);
+        if (!window.banterChessLoading) window.banterChessLoading = loadChessJs();
+        chessJsUrl = await window.banterChessLoading;
     };
 
+    // --- Variants ---
+    const DEFAULT_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+    const CHESS960_POSITIONS = 960;
+
+    // Back rank (White's, uppercase) for Chess960 starting position number `n` (0-959),
+    // using the standard Scharnagl numbering; 518 is the classical setup.
+    function chess960BackRank(n) {
+        const rank = new Array(8).fill(null);
+        const place = (piece, emptyIndex) => {
+            const empty = rank.map((p, i) => (p ? -1 : i)).filter(i => i > -1);
+            rank[empty[emptyIndex]] = piece;
+        };
+        rank[(n % 4) * 2 + 1] = 'B'; n = Math.floor(n / 4);
+        rank[(n % 4) * 2] = 'B'; n = Math.floor(n / 4);
+        place('Q', n % 6); n = Math.floor(n / 6);
+        const knights = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]][n];
+        // Place the second knight first so the first one's index is unaffected.
+        place('N', knights[1]);
+        place('N', knights[0]);
+        place('R', 0);
+        place('K', 0);
+        place('R', 0);
+        return rank.join('');
+    }
+
+    function chess960StartFen(n) {
+        const rank = chess960BackRank(n);
+        return `${rank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${rank} w KQkq - 0 1`;
+    }
+
     // --- Game Logic (ChessGame) ---
+    // chess.js 1.x renamed the 0.10 API to camelCase (in_check -> isCheck) and made load() and
+    // move() throw on bad input where 0.10 returns false / null. ChessGame only talks to this
+    // adapter, which offers the 0.10 API on top of whichever version the page has loaded.
+    class ChessAdapter {
+        constructor(fen) {
+            this.lib = new Chess();
+            if (fen) this.load(fen);
+        }
+        load(fen) {
+            try {
+                return this.lib.load(fen) !== false;
+            } catch (e) {
+                return false;
+            }
+        }
+        move(move, options) {
+            try {
+                return this.lib.move(move, options) || null;
+            } catch (e) {
+                return null;
+            }
+        }
+        validate_fen(fen) {
+            if (this.lib.validate_fen) return this.lib.validate_fen(fen);
+            // 1.x only exports validateFen from its module, so try the FEN on a fresh board instead.
+            try {
+                new Chess(fen);
+                return { valid: true, error: null };
+            } catch (e) {
+                return { valid: false, error: e.message };
+            }
+        }
+        in_check() { return this.call('in_check', 'isCheck'); }
+        in_checkmate() { return this.call('in_checkmate', 'isCheckmate'); }
+        in_stalemate() { return this.call('in_stalemate', 'isStalemate'); }
+        in_draw() { return this.call('in_draw', 'isDraw'); }
+        insufficient_material() { return this.call('insufficient_material', 'isInsufficientMaterial'); }
+        get(square) { return this.lib.get(square) || null; } // 1.x returns undefined for an empty square
+        put(piece, square) { return this.lib.put(piece, square); }
+        remove(square) { return this.lib.remove(square); }
+        moves(options) { return this.lib.moves(options); }
+        undo() { return this.lib.undo(); }
+        board() { return this.lib.board(); }
+        turn() { return this.lib.turn(); }
+        fen() { return this.lib.fen(); }
+        call(oldName, newName) {
+            return (this.lib[oldName] || this.lib[newName]).call(this.lib);
+        }
+    }
+
+    // chess.js validates ordinary moves. The game keeps its own history so variants can add
+    // moves chess.js doesn't know about (Chess960 castling) without losing the move list.
     class ChessGame {
         constructor() {
-            this.chess = new Chess();
+            this.chess = new ChessAdapter();
+            this.variant = { name: 'standard', seed: null };
+            this.startFen = DEFAULT_FEN;
+            this.history = []; // verbose moves, as returned by chess.js
+            this.positions = {}; // position key -> times seen, for threefold repetition
+            this.castling = null; // Chess960 only: { w: { k: 'h', q: 'a' }, b: {...} } rook files
+            this.result = null;
             this.onGameOverCallback = null;
+            this.recordPosition();
+        }
+        // Takes effect with the next reset() or loadFen()
+        setVariant(variant) {
+            const name = variant && VARIANTS[variant.name] ? variant.name : 'standard';
+            const seed = name === 'chess960' && variant.seed != null ? variant.seed : null;
+            if (name === this.variant.name && seed === this.variant.seed) return;
+            this.variant = { name, seed };
+            this.startFen = null; // Force loadHistory to rebuild
         }
-        reset() { this.chess.reset(); }
+        getVariantStartFen() {
+            if (this.variant.name !== 'chess960') return DEFAULT_FEN;
+            return chess960StartFen(this.variant.seed === null ? 518 : this.variant.seed);
+        }
+        reset() { this.loadFen(this.getVariantStartFen()); }
         loadFen(fen) {
             try {
-                this.chess.load(fen);
+                const fields = fen.trim().split(/\s+/);
+                // chess.js only knows classical castling, so in Chess960 it gets none and the
+                // rights from the FEN are tracked here instead.
+                const chessFen = this.variant.name === 'chess960' ? [...fields.slice(0, 2), '-', ...fields.slice(3)].join(' ') : fields.join(' ');
+                if (!this.chess.load(chessFen)) throw new Error(this.chess.validate_fen(chessFen).error);
+                this.castling = this.variant.name === 'chess960' ? this.getCastlingRights(fields[2] || '-') : null;
+                this.startFen = this.variant.name === 'chess960' ? fields.join(' ') : this.chess.fen();
+                this.history = [];
+                this.positions = {};
+                this.recordPosition();
+                this.result = null;
                 return true;
             } catch (e) {
                 console.error("Failed to load FEN:", fen, e);
@@ -98,27 +406,325 @@
         }
         makeMove(move) {
             try {
-                const result = this.chess.move(move);
+                const result = this.applyMove(move);
                 if (result) {
-                    // this.checkGameOver(); // Optional for demo
+                    this.checkGameOver();
                     return true;
                 }
             } catch (e) { console.warn("Invalid move:", move); }
             return false;
         }
+        // Plays a move given as SAN or { from, to, promotion } and records it in the history.
+        applyMove(move) {
+            const castle = this.findCastle(move);
+            if (castle) return this.castle(castle);
+            const result = this.chess.move(move, { sloppy: true });
+            if (!result) return null;
+            this.updateCastlingRights(result);
+            this.history.push(result);
+            this.recordPosition();
+            return result;
+        }
+        // Rebuilds the game by replaying `moves` (SAN) from `startFen`, so every client ends up
+        // with the same history (needed for threefold repetition and the move list).
+        loadHistory(startFen, moves) {
+            const current = this.getHistory();
+            const sameStart = (startFen || this.getVariantStartFen()) === this.startFen;
+            const isExtension = sameStart && current.length <= moves.length && current.every((san, i) => san === moves[i]);
+            if (!isExtension) {
+                if (startFen) {
+                    if (!this.loadFen(startFen)) return false;
+                } else {
+                    this.reset();
+                }
+            }
+            for (const san of moves.slice(isExtension ? current.length : 0)) {
+                if (!this.applyMove(san)) {
+                    console.error("Failed to replay move:", san);
+                    return false;
+                }
+            }
+            this.checkGameOver();
+            return true;
+        }
+        // Replaces the game with the one described by `pgn`, keeping its starting position and moves.
+        // Parsed here rather than by chess.js so Chess960 castling replays through applyMove.
+        loadPgn(pgn) {
+            const headers = {};
+            const movetext = pgn.replace(/^\s*\[(\w+)\s+"([^"]*)"\]\s*$/gm, (line, key, value) => {
+                headers[key] = value;
+                return '';
+            });
+            const sans = movetext
+                .replace(/\{[^}]*\}|;[^\n]*|\([^)]*\)|\$\d+/g, ' ') // comments, variations, NAGs
+                .split(/\s+/)
+                .map(token => token.replace(/^\d+\.+/, ''))
+                .filter(token => token && !/^(\.\.\.|1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+            if (!sans.length && !Object.keys(headers).length) return false;
+            if (headers.Variant) this.setVariant({ name: parseVariant(headers.Variant) || 'standard', seed: null });
+            const startFen = headers.SetUp === '1' && headers.FEN ? headers.FEN : null;
+            if (!this.loadHistory(startFen, sans)) {
+                console.error("Failed to load PGN:", pgn);
+                return false;
+            }
+            return true;
+        }
+        getPgn(headers) {
+            const allHeaders = Object.assign({}, headers);
+            if (this.variant.name !== 'standard') allHeaders.Variant = VARIANTS[this.variant.name];
+            // Chess960 games always record their back rank.
+            if (this.startFen !== DEFAULT_FEN || this.variant.name === 'chess960') {
+                allHeaders.SetUp = '1';
+                allHeaders.FEN = this.startFen;
+            }
+            allHeaders.Result = this.getPgnResult();
+
+            const fields = this.startFen.split(' ');
+            let moveNumber = parseInt(fields[5]) || 1;
+            let color = fields[1];
+            const tokens = [];
+            this.getHistory().forEach((san, i) => {
+                if (color === 'w') tokens.push(`${moveNumber}.`);
+                else if (i === 0) tokens.push(`${moveNumber}...`);
+                tokens.push(san);
+                if (color === 'b') moveNumber++;
+                color = color === 'w' ? 'b' : 'w';
+            });
+            tokens.push(allHeaders.Result);
+
+            const lines = Object.entries(allHeaders).map(([key, value]) => `[${key} "${value}"]`);
+            // Wrap the movetext at 80 columns
+            const movetext = [];
+            for (const token of tokens) {
+                const last = movetext.length - 1;
+                if (last >= 0 && movetext[last].length + token.length + 1 <= 80) movetext[last] += ' ' + token;
+                else movetext.push(token);
+            }
+            return lines.join('\n') + '\n\n' + movetext.join('\n');
+        }
+        getPgnResult() {
+            if (!this.result) return '*';
+            if (!this.result.winner) return '1/2-1/2';
+            return this.result.winner === 'w' ? '1-0' : '0-1';
+        }
         receiveMove(move) {
-            const result = this.chess.move(move);
+            const result = this.applyMove(move);
             if (result && this.onMoveCallback) this.onMoveCallback(result);
         }
+        // Returns { winner: 'w' | 'b' | null, reason } once the position ends the game.
+        getResult() {
+            const chess = this.chess;
+            const mover = chess.turn() === 'w' ? 'b' : 'w';
+            const variant = this.variant.name;
+            if (chess.in_checkmate()) return { winner: mover, reason: 'checkmate' };
+            if (variant === 'kingofthehill' && HILL_SQUARES.includes(this.findKing(mover))) {
+                return { winner: mover, reason: 'reaching the centre' };
+            }
+            if (variant === 'threecheck' && this.getCheckCount(mover) >= 3) return { winner: mover, reason: 'three checks' };
+            if (chess.in_stalemate()) return { winner: null, reason: 'stalemate' };
+            // A king can always walk to the hill, so King of the Hill has no dead positions. In
+            // Three-check any piece can still give check; only bare kings can't.
+            const bareKings = chess.board().every(row => row.every(sq => !sq || sq.type === 'k'));
+            const deadDraw = variant === 'threecheck' ? bareKings : variant !== 'kingofthehill';
+            if (chess.insufficient_material() && deadDraw) {
+                return { winner: null, reason: 'insufficient material' };
+            }
+            if (this.positions[this.getPositionKey()] >= 3) return { winner: null, reason: 'threefold repetition' };
+            if (parseInt(chess.fen().split(' ')[4]) >= 100) return { winner: null, reason: 'the 50-move rule' };
+            return null;
+        }
+        checkGameOver() {
+            if (this.result) return this.result;
+            const result = this.getResult();
+            if (result) {
+                this.result = result;
+                if (this.onGameOverCallback) this.onGameOverCallback(result);
+            }
+            return result;
+        }
+        // For results decided outside the rules of the position, e.g. a loss on time.
+        setResult(result) {
+            if (this.result) return;
+            this.result = result;
+            if (this.onGameOverCallback) this.onGameOverCallback(result);
+        }
+        isGameOver() { return !!this.result; }
+        getLastMove() {
+            return this.history.length ? this.history[this.history.length - 1] : null;
+        }
+        // Number of checks `color` has given this game (Three-check)
+        getCheckCount(color) {
+            return this.history.filter(m => m.color === color && /[+#]$/.test(m.san)).length;
+        }
+        // Pieces each side has captured this game, as FEN characters
+        getCaptured() {
+            const captured = { w: [], b: [] };
+            for (const move of this.history) {
+                if (!move.captured) continue;
+                captured[move.color].push(move.color === 'w' ? move.captured : move.captured.toUpperCase());
+            }
+            return captured;
+        }
+        // White's material minus Black's, in pawns
+        getMaterialBalance() {
+            const values = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+            let balance = 0;
+            for (const row of this.chess.board()) {
+                for (const sq of row) {
+                    if (sq) balance += sq.color === 'w' ? values[sq.type] : -values[sq.type];
+                }
+            }
+            return balance;
+        }
+        findKing(color) {
+            const board = this.chess.board();
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const sq = board[row][col];
+                    if (sq && sq.type === 'k' && sq.color === color) return `${'abcdefgh'[col]}${8 - row}`;
+                }
+            }
+            return null;
+        }
+        // Square of the side to move's king while it is in check, otherwise null
+        getCheckedKingSquare() {
+            return this.chess.in_check() ? this.findKing(this.chess.turn()) : null;
+        }
         getFen() { return this.chess.fen(); }
-        getMoves(square) { return this.chess.moves({ square: square, verbose: true }); }
+        getStartFen() { return this.startFen; }
+        getHistory() { return this.history.map(m => m.san); }
+        getMoves(square) {
+            const moves = this.chess.moves({ square: square, verbose: true });
+            // Chess960 castling is offered by moving the king onto its own rook.
+            for (const castle of this.getCastles()) {
+                if (castle.kingFrom === square) moves.push({ color: castle.color, from: square, to: castle.rookFrom, piece: 'k', flags: castle.side, san: castle.san });
+            }
+            return moves;
+        }
+
+        // --- Chess960 castling ---
+        getPositionKey() {
+            const rights = this.castling ? JSON.stringify(this.castling) : '';
+            return this.chess.fen().split(' ').slice(0, 4).join(' ') + rights;
+        }
+        recordPosition() {
+            const key = this.getPositionKey();
+            this.positions[key] = (this.positions[key] || 0) + 1;
+        }
+        // Rook files for the K/Q/k/q flags: the outermost rook on that side of the king.
+        getCastlingRights(flags) {
+            const rights = { w: {}, b: {} };
+            for (const color of ['w', 'b']) {
+                const rank = color === 'w' ? '1' : '8';
+                const king = this.findKing(color);
+                if (!king || king[1] !== rank) continue;
+                const rooks = 'abcdefgh'.split('').filter(f => {
+                    const piece = this.chess.get(f + rank);
+                    return piece && piece.type === 'r' && piece.color === color;
+                });
+                const left = rooks.filter(f => f < king[0]);
+                const right = rooks.filter(f => f > king[0]);
+                if (flags.includes(color === 'w' ? 'K' : 'k') && right.length) rights[color].k = right[right.length - 1];
+                if (flags.includes(color === 'w' ? 'Q' : 'q') && left.length) rights[color].q = left[0];
+            }
+            return rights;
+        }
+        updateCastlingRights(move) {
+            if (!this.castling) return;
+            if (move.piece === 'k') this.castling[move.color] = {};
+            // A rook leaving or being captured on its home square loses that right.
+            for (const color of ['w', 'b']) {
+                const rank = color === 'w' ? '1' : '8';
+                for (const side of ['k', 'q']) {
+                    const home = this.castling[color][side] + rank;
+                    if (move.from === home || move.to === home) delete this.castling[color][side];
+                }
+            }
+        }
+        // Legal castling moves for the side to move
+        getCastles() {
+            if (!this.castling || this.chess.in_check()) return [];
+            const color = this.chess.turn();
+            const rank = color === 'w' ? '1' : '8';
+            const kingFrom = this.findKing(color);
+            const castles = [];
+            for (const side of ['k', 'q']) {
+                const rookFile = this.castling[color][side];
+                if (!rookFile || !kingFrom) continue;
+                const castle = {
+                    color, side, kingFrom, rookFrom: rookFile + rank,
+                    kingTo: (side === 'k' ? 'g' : 'c') + rank, rookTo: (side === 'k' ? 'f' : 'd') + rank,
+                    san: side === 'k' ? 'O-O' : 'O-O-O'
+                };
+                if (this.canCastle(castle)) castles.push(castle);
+            }
+            return castles;
+        }
+        canCastle({ color, kingFrom, kingTo, rookFrom, rookTo }) {
+            const files = [kingFrom, kingTo, rookFrom, rookTo].map(sq => sq.charCodeAt(0));
+            const rank = kingFrom[1];
+            // Everything between the outermost squares involved must be empty, bar the king and rook.
+            for (let f = Math.min(...files); f <= Math.max(...files); f++) {
+                const sq = String.fromCharCode(f) + rank;
+                if (sq !== kingFrom && sq !== rookFrom && this.chess.get(sq)) return false;
+            }
+            // The king may not pass through or land on an attacked square.
+            const probe = new ChessAdapter(this.chess.fen());
+            probe.remove(kingFrom);
+            const step = kingTo > kingFrom ? 1 : -1;
+            for (let f = kingFrom.charCodeAt(0); ; f += step) {
+                const sq = String.fromCharCode(f) + rank;
+                const occupant = probe.get(sq);
+                probe.put({ type: 'k', color }, sq);
+                const attacked = probe.in_check();
+                probe.remove(sq);
+                if (occupant) probe.put(occupant, sq);
+                if (attacked) return false;
+                if (sq === kingTo) break;
+            }
+            return true;
+        }
+        findCastle(move) {
+            if (!this.castling) return null;
+            const castles = this.getCastles();
+            if (typeof move === 'string') {
+                const san = move.replace(/[+#]+$/, '').replace(/0/g, 'O');
+                return castles.find(c => c.san === san) || null;
+            }
+            if (!move || !castles.length) return null;
+            // Moving the king onto its rook always castles; moving it to its castled square only
+            // does when that isn't also an ordinary king move.
+            const onRook = castles.find(c => c.kingFrom === move.from && c.rookFrom === move.to);
+            if (onRook) return onRook;
+            const ordinary = this.chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to);
+            return ordinary ? null : castles.find(c => c.kingFrom === move.from && c.kingTo === move.to) || null;
+        }
+        // The position after `castle`, as chess.js sees it (without castling rights)
+        getCastledFen({ color, kingFrom, kingTo, rookFrom, rookTo }) {
+            const fields = this.chess.fen().split(' ');
+            const probe = new ChessAdapter(this.chess.fen());
+            probe.remove(kingFrom);
+            probe.remove(rookFrom);
+            probe.put({ type: 'k', color }, kingTo);
+            probe.put({ type: 'r', color }, rookTo);
+            const placement = probe.fen().split(' ')[0];
+            const fullmove = parseInt(fields[5]) + (color === 'b' ? 1 : 0);
+            return [placement, color === 'w' ? 'b' : 'w', '-', '-', parseInt(fields[4]) + 1, fullmove].join(' ');
+        }
+        castle(castle) {
+            const { color, side, kingFrom, kingTo, rookFrom, rookTo } = castle;
+            this.chess.load(this.getCastledFen(castle));
+            this.castling[color] = {};
+            const suffix = this.chess.in_checkmate() ? '#' : (this.chess.in_check() ? '+' : '');
+            const result = { color, from: kingFrom, to: kingTo, piece: 'k', flags: side, san: castle.san + suffix, rookFrom, rookTo };
+            this.history.push(result);
+            this.recordPosition();
+            return result;
+        }
     }
 
     // --- Banter Board Logic ---
-    const COLORS = {
-        white: '#EEEEEE', black: '#333333', selected: '#76F250', valid: '#50ABF2',
-        highlight: '#E3C662', whitePiece: '#D4AF37', blackPiece: '#222222'
-    };
+    const COLORS = Object.assign({}, THEMES[config.theme], config.colors);
 
     function hexToVector4(hex) {
         let c = hex.substring(1);
@@ -128,8 +734,21 @@
     }
 
     const state = {
-        tiles: {}, pieces: {}, selectedSquare: null,
-        boardRoot: null, piecesRoot: null,
+        game: null, listeners: {},
+        tiles: {}, pieces: {}, selectedSquare: null, hover: null, promotion: null,
+        ready: false, loadingLabel: null, piecePool: {}, promotionPickers: {},
+        boardRoot: null, piecesRoot: null, resultLabel: null,
+        clock: null, clockLabels: {},
+        aiWorker: null, aiRequest: null,
+        seq: 0, lastBy: null, lastPublished: null,
+        trayRoot: null, trays: { w: [], b: [] }, trayUpdate: Promise.resolve(), materialLabels: {},
+        review: null, reviewLabel: null,
+        seats: { w: null, b: null }, seatButtons: {}, seatTimers: {},
+        offer: null, controlButtons: {},
+        gameId: null, leaderboardLabel: null, panelLabel: null, match: null, scoreboardLabel: null,
+        resetButton: null, resetConfirm: null, locked: config.lock, lockButton: null,
+        puzzles: null, puzzlesLoad: null, puzzle: null, tileFeedback: null,
+        soundSource: null, soundTransform: null, synced: false, received: false, pendingFlag: null,
         listenersSetup: false, tileSize: 0.5, boardSize: 8, offset: 0
     };
     state.offset = (state.boardSize * state.tileSize) / 2 - (state.tileSize / 2);
@@ -154,62 +773,1330 @@
             lightTrans.localPosition = new BS.Vector3(0, 5, -5); // Above and behind the board from white's perspective
             lightTrans.localEulerAngles = new BS.Vector3(45, 0, 0); // Angled down
 
-            // Add a directional light. BS.LightType.Directional is 1.
-            await lightGO.AddComponent(new BS.Light(1, new BS.Vector4(1, 1, 1, 1), 1, 0.1));
+            // Add a directional light. BS.LightType.Directional is 1.
+            await lightGO.AddComponent(new BS.Light(1, new BS.Vector4(1, 1, 1, 1), 1, 0.1));
+        }
+
+        console.log("Board Initialized with Config:", config);
+
+        // Everything below is built in parallel; clicks are ignored until it's all there.
+        state.loadingLabel = await createTextLabel("LoadingLabel", state.boardRoot, new BS.Vector3(0, 0.8, 0), "Loading board...", 3);
+        const parts = [generateTiles(), createResultLabel(), createPromotionPickers()];
+        if (config.timeControl) parts.push(createClocks());
+        if (!config.hidePanel) parts.push(createPanel());
+        if (config.sound) parts.push(createSoundSource());
+        if (config.match) parts.push(createScoreboard());
+
+        // Check UI flag to add buttons
+        if (!config.hideUI) {
+            parts.push(createLeaderboard(), createResetButton(), createSeatButtons(), createImportExportButtons(),
+                createReviewButtons(), createGameControls());
+            if (config.mode === 'puzzle') parts.push(createPuzzleButton());
+            if (config.lock) parts.push(createLockButton());
+        }
+        await Promise.all(parts);
+        state.ready = true;
+        state.loadingLabel.text = "";
+
+        // Networking Setup
+        setupBanterStateListeners();
+    }
+
+    // Puts the game back to the configured variant and starting position (the `variant`, `pgn`
+    // and `fen` parameters). Chess960 deals a new back rank each game unless `seed` pins one.
+    // In puzzle mode it's the current puzzle's position instead. A `seed` deals that back rank.
+    function loadStartPosition(game, seed) {
+        const puzzle = getCurrentPuzzle();
+        if (puzzle) {
+            game.setVariant({ name: 'standard', seed: null });
+            game.loadFen(puzzle.fen);
+            return;
+        }
+        if (seed === undefined || seed === null) {
+            seed = config.variantSeed !== null ? config.variantSeed : Math.floor(Math.random() * CHESS960_POSITIONS);
+        }
+        game.setVariant({ name: config.variant, seed });
+        if (config.startPgn && game.loadPgn(config.startPgn)) return;
+        if (config.startFen && game.loadFen(config.startFen)) return;
+        game.reset();
+    }
+
+    // Starts a fresh game for everyone once `setup` has prepared the local position.
+    function startNewGame(setup) {
+        const game = state.game;
+        const before = getGameSnapshot();
+        setup(game);
+        state.offer = null;
+        state.gameId = newGameId();
+        if (state.puzzle) state.puzzle = Object.assign({}, state.puzzle, { done: false, feedback: null });
+        game.checkGameOver();
+        if (config.timeControl) state.clock = newClock();
+        publishGameState();
+        updateResultDisplay();
+        syncBoard();
+        clearSelection();
+        updateGameControls();
+        updatePanel();
+        emitGameEvents(before, true);
+        maybeRequestAiMove();
+    }
+
+    async function createResetButton() {
+        // Child of boardRoot so it scales/rotates with board
+        const btn = await new BS.GameObject("ResetButton").Async();
+        // FIX: SetParent with false to reset local scale relative to parent
+        await btn.SetParent(state.boardRoot, false);
+
+        // Transform: Position it "below" or "beside" the board side (z positive is "bottom" for white usually)
+        let trans = await btn.AddComponent(new BS.Transform());
+        trans.localPosition = config.resetPosition;
+        trans.localEulerAngles = config.resetRotation;
+        trans.localScale = config.resetScale;
+
+        // Visuals: Red Box
+        const w = 1.0, h = 0.2, d = 0.4;
+        const geoArgs = [BS.GeometryType.BoxGeometry, null, w, h, d, 1, 1, 1, 0.5, 24, 0, 6.28, 0, 6.28, 8, false, 0.5, 0.5, 0, 1, 24, 8, 0.4, 16, 6.28, 2, 3, 5, 5, 0, ""];
+        await btn.AddComponent(new BS.BanterGeometry(...geoArgs));
+
+        const redColor = new BS.Vector4(0.8, 0.2, 0.2, 1);
+        const buttonShader = config.lighting === 'lit' ? 'Standard' : 'Unlit/Diffuse';
+        await btn.AddComponent(new BS.BanterMaterial(buttonShader, "", redColor, BS.MaterialSide.Front, false));
+
+        // Collider for click
+        await btn.AddComponent(new BS.BoxCollider(true, new BS.Vector3(0, 0, 0), new BS.Vector3(w, h, d)));
+        await btn.SetLayer(5); // UI Layer
+
+        const label = await createTextLabel("ResetButton_Label", btn, new BS.Vector3(0, 0.3, 0), "Reset", 1.5);
+        btn.setLabel = (text) => { label.text = text; };
+        state.resetButton = btn;
+
+        // Logic: the first press asks for confirmation, a second one within RESET_CONFIRM_TIME resets.
+        btn.On('click', () => {
+            if (!state.ready) return;
+            if (!mayReset()) {
+                showResetMessage(state.locked ? "Board locked" : "Players only", false);
+                return;
+            }
+            if (!state.resetConfirm || !state.resetConfirm.armed) {
+                showResetMessage("Click again\nto reset", true);
+                return;
+            }
+            clearResetConfirm();
+            console.log("Requesting game reset...");
+            // Optimistically reset for the local user, as the `space-state-changed` event
+            // may not fire reliably for the originating client.
+            console.log("Optimistically resetting local board.");
+            startNewGame(loadStartPosition);
+        });
+    }
+
+    // --- Reset Protection ---
+    // Replacing the game (Reset, Import, and the API's reset/loadFen/importGame) is open to
+    // anyone between games, but only to the seated players while they're playing one. Moderators
+    // may always do it. In lock mode they can also lock the board, which stops everyone else;
+    // the lock is kept in `chess_lock_<instance>` in the protected space props, so only space
+    // admins' clients can change it.
+    const RESET_CONFIRM_TIME = 4000; // Milliseconds to confirm a reset after the first press
+
+    function isModerator(uid) {
+        return config.moderators.includes(uid);
+    }
+
+    // Whether `uid` (the local user when omitted) may replace the current game
+    function mayReset(uid) {
+        if (uid === undefined) {
+            const user = getLocalUser();
+            if (!user) return false;
+            uid = user.uid;
+        }
+        if (uid && isModerator(uid)) return true;
+        if (state.locked) return false;
+        const game = state.game;
+        const seated = ['w', 'b'].map(color => state.seats[color]).filter(Boolean);
+        const inProgress = seated.length > 0 && game.getHistory().length > 0 && !game.result;
+        return !inProgress || seated.some(seat => seat.uid === uid);
+    }
+
+    // Shows `text` on the reset button for RESET_CONFIRM_TIME; an `armed` reset happens if the
+    // button is pressed again in that time.
+    function showResetMessage(text, armed) {
+        clearResetConfirm();
+        if (state.resetButton) state.resetButton.setLabel(text);
+        state.resetConfirm = { armed, timer: setTimeout(clearResetConfirm, RESET_CONFIRM_TIME) };
+    }
+
+    function clearResetConfirm() {
+        if (state.resetConfirm) clearTimeout(state.resetConfirm.timer);
+        state.resetConfirm = null;
+        if (state.resetButton) state.resetButton.setLabel("Reset");
+    }
+
+    function getLockKey() {
+        return 'chess_lock_' + config.instance;
+    }
+
+    // Reads the stored lock. A board in lock mode stays locked until a moderator unlocks it.
+    function applyLock(raw) {
+        if (!config.lock) return;
+        try {
+            setLocked(raw ? !!JSON.parse(raw).locked : true);
+        } catch (err) {
+            console.error("Error parsing board lock:", err);
+            setLocked(true);
+        }
+    }
+
+    function setLocked(locked) {
+        state.locked = locked;
+        if (state.lockButton) state.lockButton.setLabel(locked ? "Unlock Board" : "Lock Board");
+    }
+
+    function toggleLock() {
+        const user = getLocalUser();
+        if (!user || !isModerator(user.uid)) {
+            console.warn("Only moderators can lock or unlock the board.");
+            return;
+        }
+        const locked = !state.locked;
+        console.log(`${locked ? "Locking" : "Unlocking"} the board.`);
+        BS.BanterScene.GetInstance().SetProtectedSpaceProps({
+            [getLockKey()]: JSON.stringify({ locked, by: user.uid, name: user.name || user.uid })
+        });
+        setLocked(locked);
+    }
+
+    async function createLockButton() {
+        // Below Import, left of the board
+        state.lockButton = await createButton("LockButton", state.boardRoot, new BS.Vector3(-2.9, 0, 0.2), new BS.Vector3(0, 0, 0),
+            COLORS.check, "", toggleLock);
+        setLocked(state.locked);
+    }
+
+    // --- Import / Export ---
+    function getPlayerName(color) {
+        if (color === config.ai) return 'Computer';
+        return state.seats[color] ? state.seats[color].name : '?';
+    }
+
+    function exportPgn() {
+        const now = new Date();
+        const pad = (n) => (n < 10 ? '0' : '') + n;
+        return state.game.getPgn({
+            Event: 'Banter Chess',
+            Site: config.instance,
+            Date: `${now.getFullYear()}.${pad(now.getMonth() + 1)}.${pad(now.getDate())}`,
+            White: getPlayerName('w'),
+            Black: getPlayerName('b')
+        });
+    }
+
+    // Replaces the synced game for everyone with a PGN or FEN. Returns false if it can't be read.
+    function importGame(text) {
+        if (!mayReset()) {
+            console.warn(state.locked ? "The board is locked." : "Only the seated players can replace a game in progress.");
+            return false;
+        }
+        const source = (text || '').trim();
+        const isFen = new ChessAdapter().validate_fen(source).valid;
+        // Read it into a throwaway game first so a bad import leaves the current one alone.
+        const probe = new ChessGame();
+        probe.setVariant(state.game.variant);
+        if (!(isFen ? probe.loadFen(source) : probe.loadPgn(source))) {
+            console.error("Import failed: not a valid PGN or FEN.");
+            return false;
+        }
+        console.log(`Importing ${isFen ? 'FEN' : 'PGN'} for everyone.`);
+        startNewGame(game => (isFen ? game.loadFen(source) : game.loadPgn(source)));
+        return true;
+    }
+
+    async function createImportExportButtons() {
+        // Left of the board, beside White's edge
+        await createButton("ExportButton", state.boardRoot, new BS.Vector3(-2.9, 0, 1.6), new BS.Vector3(0, 0, 0),
+            COLORS.valid, "Export PGN", () => {
+                const pgn = exportPgn();
+                console.log("Exported PGN:\n" + pgn);
+                if (navigator.clipboard && navigator.clipboard.writeText) {
+                    navigator.clipboard.writeText(pgn).catch(err => console.warn("Could not copy PGN to clipboard:", err));
+                }
+            });
+        await createButton("ImportButton", state.boardRoot, new BS.Vector3(-2.9, 0, 0.9), new BS.Vector3(0, 0, 0),
+            COLORS.valid, "Import", async () => {
+                if (!navigator.clipboard || !navigator.clipboard.readText) {
+                    console.warn("Clipboard unavailable; use window.BanterChess.get(instance).importGame(pgnOrFen) instead.");
+                    return;
+                }
+                try {
+                    importGame(await navigator.clipboard.readText());
+                } catch (err) {
+                    console.warn("Could not read a PGN or FEN from the clipboard:", err);
+                }
+            });
+    }
+
+    // --- Review ---
+    // Stepping through the moves only changes what this client shows: the board renders a
+    // private copy of the game while the synced one carries on underneath.
+    function getDisplayedGame() {
+        return state.review ? state.review.game : state.game;
+    }
+
+    function getReviewPly() {
+        return state.review ? state.review.ply : state.game.getHistory().length;
+    }
+
+    // Shows the position after the first `ply` moves. Stepping past the last one returns to live.
+    function reviewPly(ply) {
+        const live = state.game;
+        const liveMoves = live.getHistory();
+        let review = state.review;
+        // Keep up with the live game while it only adds moves to the one under review;
+        // after a reset or import the old game stays reviewable until we return to live.
+        const followsLive = review && review.startFen === live.getStartFen() && review.moves.every((san, i) => san === liveMoves[i]);
+        if (!review || followsLive) review = { startFen: live.getStartFen(), variant: live.variant, moves: liveMoves };
+
+        ply = Math.max(0, Math.min(ply, review.moves.length));
+        if (ply === review.moves.length) return returnToLive();
+        review.ply = ply;
+        review.game = new ChessGame();
+        review.game.setVariant(review.variant);
+        review.game.loadHistory(review.startFen, review.moves.slice(0, ply));
+        state.review = review;
+        clearSelection();
+        syncBoard();
+        updateReviewDisplay();
+    }
+
+    function returnToLive() {
+        if (!state.review) return;
+        state.review = null;
+        syncBoard();
+        paintTiles();
+        updateReviewDisplay();
+    }
+
+    function updateReviewDisplay() {
+        if (!state.reviewLabel) return;
+        const review = state.review;
+        if (!review) {
+            state.reviewLabel.text = "";
+            return;
+        }
+        const last = review.game.getLastMove();
+        const fullmove = parseInt(review.game.getFen().split(' ')[5]);
+        const move = !last ? "start" : (last.color === 'w' ? `${fullmove}. ${last.san}` : `${fullmove - 1}... ${last.san}`);
+        state.reviewLabel.text = `Reviewing ${move} (${review.ply}/${review.moves.length})`;
+    }
+
+    async function createReviewButtons() {
+        // A row in front of White's edge, behind the reset button
+        const buttons = [
+            ["ReviewFirst", "|<", () => reviewPly(0)],
+            ["ReviewBack", "<", () => reviewPly(getReviewPly() - 1)],
+            ["ReviewForward", ">", () => reviewPly(getReviewPly() + 1)],
+            ["ReviewLive", "Live >|", () => returnToLive()]
+        ];
+        for (let i = 0; i < buttons.length; i++) {
+            const [name, label, onClick] = buttons[i];
+            await createButton(name, state.boardRoot, new BS.Vector3((i - 1.5) * 1.1, 0, 3.1), new BS.Vector3(0, 0, 0), COLORS.valid, label, onClick);
+        }
+        state.reviewLabel = await createTextLabel("ReviewLabel", state.boardRoot, new BS.Vector3(0, 0.6, 3.1), "", 2);
+    }
+
+    // --- Game Result ---
+    function describeResult(result) {
+        if (!result) return "";
+        if (result.winner) return `${SEAT_NAMES[result.winner]} wins by ${result.reason}`;
+        return `Draw by ${result.reason}`;
+    }
+
+    async function createResultLabel() {
+        // Floats above the middle of the board
+        state.resultLabel = await createTextLabel("ResultLabel", state.boardRoot, new BS.Vector3(0, 1.2, 0), "", 3);
+        state.game.onGameOverCallback = (result) => {
+            console.log("Game over:", describeResult(result));
+            updateResultDisplay();
+        };
+        updateResultDisplay();
+    }
+
+    function updateResultDisplay() {
+        if (!state.resultLabel) return;
+        state.resultLabel.text = state.puzzle && state.puzzle.done ? "Puzzle solved!" : describeResult(state.game.result);
+    }
+
+    // --- Move List Panel ---
+    const PANEL_MOVE_ROWS = 12; // Most recent full moves shown; older ones scroll off the top
+
+    async function createPanel() {
+        state.panelLabel = await createTextLabel("MovePanel", state.boardRoot, config.panelPosition, "", 1.5, new BS.Vector2(2, 2.6));
+        updatePanel();
+    }
+
+    function updatePanel() {
+        if (!state.panelLabel) return;
+        const game = state.game;
+        const lines = ['w', 'b'].map(color => {
+            const seated = color === config.ai || state.seats[color];
+            return `${SEAT_NAMES[color]}: ${seated ? getPlayerName(color) : "(open)"}`;
+        });
+
+        if (config.mode === 'puzzle') lines.unshift(describePuzzle());
+
+        const turn = SEAT_NAMES[game.chess.turn()];
+        if (state.puzzle && state.puzzle.done) lines.push("Solved!");
+        else if (game.result) lines.push(describeResult(game.result));
+        else lines.push(game.chess.in_check() ? `${turn} to move - check!` : `${turn} to move`);
+        lines.push("");
+
+        // One row per full move, numbered from the starting position
+        let number = parseInt(game.getStartFen().split(' ')[5]) || 1;
+        let row = null;
+        const rows = [];
+        for (const move of game.history) {
+            if (move.color === 'w') row = `${number}. ${move.san}`;
+            else {
+                rows.push(`${row || `${number}. ...`} ${move.san}`);
+                row = null;
+                number++;
+            }
+        }
+        if (row) rows.push(row);
+        state.panelLabel.text = lines.concat(rows.slice(-PANEL_MOVE_ROWS)).join('\n');
+    }
+
+    // --- Puzzles ---
+    // In puzzle mode the board works through a list of { fen, moves } puzzles. `moves` is the
+    // solution, SAN or UCI, starting with the solver's move; the replies in it are played by the
+    // board. Progress is synced as `puzzle` in the game state:
+    // { index, solved, mistakes, done, feedback: { id, correct, squares } }.
+    const PUZZLE_REPLY_DELAY = 600; // Milliseconds before the board answers a correct move
+    const PUZZLE_NEXT_DELAY = 3000; // Milliseconds a solved puzzle stays up before the next one
+    const FEEDBACK_DURATION = 1200; // Milliseconds the correct/incorrect tint stays on the tiles
+
+    async function loadPuzzles() {
+        const url = new URL(config.puzzlesUrl, currentScript ? currentScript.src : window.location.href).href;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            const list = Array.isArray(data) ? data : (data && data.puzzles) || [];
+            const puzzles = list.map(preparePuzzle).filter(Boolean);
+            if (!puzzles.length) throw new Error("no usable puzzles");
+            console.log(`Loaded ${puzzles.length} puzzles from ${url}.`);
+            state.puzzles = puzzles;
+        } catch (err) {
+            console.error(`Could not load puzzles from ${url}, playing normal games instead:`, err);
+            config.mode = 'game';
+        }
+    }
+
+    // Plays the solution through once so it's stored as SAN, the form moves are synced in.
+    function preparePuzzle(raw, index) {
+        const probe = new ChessGame();
+        if (!raw || typeof raw.fen !== 'string' || !Array.isArray(raw.moves) || !raw.moves.length || !probe.loadFen(raw.fen)) {
+            console.warn(`Skipping puzzle ${index + 1}: it needs a fen and a list of moves.`);
+            return null;
+        }
+        const solver = probe.chess.turn();
+        const solution = [];
+        for (const move of raw.moves) {
+            const uci = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i.exec(move);
+            const record = probe.applyMove(uci ? { from: uci[1].toLowerCase(), to: uci[2].toLowerCase(), promotion: uci[3] && uci[3].toLowerCase() } : move);
+            if (!record) {
+                console.warn(`Skipping puzzle ${index + 1}: ${move} is not a legal move.`);
+                return null;
+            }
+            solution.push(record.san);
+        }
+        return { title: raw.title || null, fen: probe.getStartFen(), solver, solution };
+    }
+
+    function getCurrentPuzzle() {
+        if (!state.puzzles || !state.puzzle) return null;
+        return state.puzzles[state.puzzle.index] || null;
+    }
+
+    // Moves wait until the puzzles are in, and stop once the puzzle is solved.
+    function isPuzzleLocked() {
+        return config.mode === 'puzzle' && (!getCurrentPuzzle() || state.puzzle.done);
+    }
+
+    // Called once the synced state has been read: a new session starts at the first puzzle.
+    async function startPuzzles() {
+        await state.puzzlesLoad;
+        if (state.puzzles && !getCurrentPuzzle()) return startPuzzle(0);
+        updateResultDisplay();
+        updatePanel();
+    }
+
+    function startPuzzle(index) {
+        const count = state.puzzles.length;
+        const progress = state.puzzle || { solved: 0, mistakes: 0 };
+        state.puzzle = { index: ((index % count) + count) % count, solved: progress.solved, mistakes: progress.mistakes, done: false, feedback: null };
+        console.log(`Starting puzzle ${state.puzzle.index + 1} of ${count}.`);
+        startNewGame(loadStartPosition);
+    }
+
+    // Checks the move just played against the solution; mating by another route counts too.
+    // A wrong move is taken back straight away, so it's never synced, and only its red tint is.
+    function checkPuzzleMove(before) {
+        const game = state.game;
+        const puzzle = getCurrentPuzzle();
+        if (!puzzle) return true;
+        const move = game.getLastMove();
+        const ply = game.history.length - 1;
+        const byOpponent = move.color !== puzzle.solver;
+        if (move.san === puzzle.solution[ply] || game.chess.in_checkmate()) {
+            if (!byOpponent) setPuzzleFeedback(true, [move.from, move.to]);
+            if (game.history.length >= puzzle.solution.length || game.isGameOver()) {
+                state.puzzle.done = true;
+                state.puzzle.solved++;
+            }
+            return true;
+        }
+        game.loadHistory(game.getStartFen(), before.moves);
+        state.puzzle.mistakes++;
+        setPuzzleFeedback(false, [move.from, move.to]);
+        publishGameState();
+        updateResultDisplay();
+        clearSelection();
+        updatePanel();
+        return false;
+    }
+
+    // After a correct move has been synced: the client that played it answers with the
+    // solution's reply, or moves everyone on once the puzzle is solved.
+    function continuePuzzle() {
+        const game = state.game;
+        const puzzle = getCurrentPuzzle();
+        if (!puzzle) return;
+        const gameId = state.gameId;
+        const ply = game.history.length;
+        const unchanged = () => state.gameId === gameId && game.history.length === ply;
+        if (state.puzzle.done) {
+            setTimeout(() => {
+                if (unchanged()) startPuzzle(state.puzzle.index + 1);
+            }, PUZZLE_NEXT_DELAY);
+        } else if (game.chess.turn() !== puzzle.solver) {
+            setTimeout(() => {
+                if (unchanged()) commitMove(puzzle.solution[ply]);
+            }, PUZZLE_REPLY_DELAY);
+        }
+    }
+
+    // The board's replies may come from a client that isn't seated on the replying side.
+    function isPuzzleReply(moves) {
+        const puzzle = getCurrentPuzzle();
+        const ply = moves.length - 1;
+        return !!puzzle && getMoverColor(puzzle.fen, moves) !== puzzle.solver && moves[ply] === puzzle.solution[ply];
+    }
+
+    function setPuzzleFeedback(correct, squares) {
+        const last = state.puzzle.feedback;
+        state.puzzle.feedback = { id: (last ? last.id : 0) + 1, correct, squares };
+        showFeedback(state.puzzle.feedback);
+    }
+
+    // Adopts the synced puzzle progress, flashing any feedback this client hasn't shown yet.
+    function applyPuzzleState(puzzle) {
+        // A joining client has nothing on screen yet, so it doesn't replay the last tint.
+        const joining = !state.puzzle;
+        const shown = joining ? null : state.puzzle.feedback;
+        state.puzzle = puzzle;
+        if (!joining && puzzle.feedback && (!shown || shown.id !== puzzle.feedback.id)) showFeedback(puzzle.feedback);
+    }
+
+    function showFeedback(feedback) {
+        const tint = { squares: feedback.squares, color: feedback.correct ? COLORS.selected : COLORS.check };
+        state.tileFeedback = tint;
+        paintTiles();
+        setTimeout(() => {
+            if (state.tileFeedback !== tint) return;
+            state.tileFeedback = null;
+            paintTiles();
+        }, FEEDBACK_DURATION);
+    }
+
+    function describePuzzle() {
+        const puzzle = getCurrentPuzzle();
+        if (!puzzle) return config.mode === 'puzzle' ? "Loading puzzles..." : "";
+        const { index, solved, mistakes } = state.puzzle;
+        const title = puzzle.title ? `: ${puzzle.title}` : "";
+        return `Puzzle ${index + 1} of ${state.puzzles.length}${title}\nSolved ${solved} - Mistakes ${mistakes}`;
+    }
+
+    async function createPuzzleButton() {
+        // Opposite White's seat button
+        await createButton("NextPuzzleButton", state.boardRoot, new BS.Vector3(1.5, 0, 2.5), new BS.Vector3(0, 0, 0),
+            COLORS.valid, "Next Puzzle", () => {
+                if (getCurrentPuzzle()) startPuzzle(state.puzzle.index + 1);
+            });
+    }
+
+    // --- Archive & Ratings ---
+    // Finished games are appended to the `chess_archive_<instance>` space property as
+    // { games: [{ id, date, white, black, result, reason, rated, pgn }], ratings: { uid: { name, rating, games } } }.
+    // Ratings live beside the games, so they outlast games evicted by the size cap.
+    const ELO_DEFAULT = 1200;
+    const ELO_K = 32;
+    const LEADERBOARD_SIZE = 5;
+
+    function getArchiveKey() {
+        return 'chess_archive_' + config.instance;
+    }
+
+    function newGameId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    function readArchive() {
+        const spaceState = BS.BanterScene.GetInstance().spaceState || {};
+        const raw = spaceState.public && spaceState.public[getArchiveKey()];
+        try {
+            const archive = raw ? JSON.parse(raw) : {};
+            return { games: archive.games || [], ratings: archive.ratings || {} };
+        } catch (err) {
+            console.error("Error parsing game archive:", err);
+            return { games: [], ratings: {} };
+        }
+    }
+
+    function getPlayer(color) {
+        if (color === config.ai) return { uid: null, name: 'Computer' };
+        const seat = state.seats[color];
+        return seat ? { uid: seat.uid, name: seat.name } : null;
+    }
+
+    // One client records each game: the seated player with the lowest uid who is here,
+    // otherwise whoever has the lowest uid in the space.
+    function isArchiveWriter() {
+        const present = getPresentUids();
+        const seated = ['w', 'b'].map(c => state.seats[c]).filter(seat => seat && present.includes(seat.uid)).map(seat => seat.uid).sort();
+        const user = getLocalUser();
+        return !!user && (seated[0] || present[0]) === user.uid;
+    }
+
+    // Appends the finished game to the archive and updates the ratings of two seated players.
+    // Games without a player on both sides, or without a move, aren't recorded.
+    function archiveGame() {
+        const game = state.game;
+        const white = getPlayer('w');
+        const black = getPlayer('b');
+        if (!config.archiveSize || config.mode === 'puzzle' || !game.result || !white || !black || !game.getHistory().length || !isArchiveWriter()) return;
+        const archive = readArchive();
+        if (archive.games.some(g => g.id === state.gameId)) return;
+
+        const rated = !!(white.uid && black.uid && white.uid !== black.uid);
+        if (rated) updateRatings(archive.ratings, white, black, game.result.winner);
+        archive.games.push({
+            id: state.gameId, date: new Date().toISOString(), white, black,
+            result: game.getPgnResult(), reason: game.result.reason, rated, pgn: exportPgn()
+        });
+        // Oldest games go first once the archive is full.
+        archive.games = archive.games.slice(-config.archiveSize);
+        console.log(`Archiving game ${state.gameId}: ${describeResult(game.result)}.`);
+        BS.BanterScene.GetInstance().SetPublicSpaceProps({ [getArchiveKey()]: JSON.stringify(archive) });
+        updateLeaderboard(archive);
+    }
+
+    function updateRatings(ratings, white, black, winner) {
+        const get = (player) => ratings[player.uid] || { name: player.name, rating: ELO_DEFAULT, games: 0 };
+        const w = get(white);
+        const b = get(black);
+        const expected = 1 / (1 + Math.pow(10, (b.rating - w.rating) / 400));
+        const score = winner === 'w' ? 1 : (winner === 'b' ? 0 : 0.5);
+        const change = ELO_K * (score - expected);
+        ratings[white.uid] = { name: white.name, rating: Math.round(w.rating + change), games: w.games + 1 };
+        ratings[black.uid] = { name: black.name, rating: Math.round(b.rating - change), games: b.games + 1 };
+    }
+
+    async function createLeaderboard() {
+        // Left of the board, behind the Import/Export buttons
+        state.leaderboardLabel = await createTextLabel("Leaderboard", state.boardRoot, new BS.Vector3(-3.2, 0.8, -0.8), "", 1.5, new BS.Vector2(2, 1.5));
+        updateLeaderboard();
+    }
+
+    function updateLeaderboard(archive) {
+        if (!state.leaderboardLabel) return;
+        const ratings = (archive || readArchive()).ratings;
+        const top = Object.values(ratings).sort((a, b) => b.rating - a.rating).slice(0, LEADERBOARD_SIZE);
+        const lines = top.map((player, i) => `${i + 1}. ${player.name} ${player.rating} (${player.games})`);
+        state.leaderboardLabel.text = "Leaderboard\n" + (lines.length ? lines.join('\n') : "No rated games yet");
+    }
+
+    // --- Match ---
+    // With `match=N` the seated players play a best-of-N match, kept in the game state as
+    // { length, players: [{ uid, name }, { uid, name }], games: [{ id, white, black, winner }] }
+    // (`white`/`black` being uids). The archive writer records each result and, until the match
+    // is decided, starts the next game with the players' colours swapped.
+    const MATCH_NEXT_DELAY = 5000; // Milliseconds a finished match game stays up before the next one
+
+    function getMatchScores(match) {
+        return match.players.map(player => match.games.reduce((score, g) => {
+            if (!g.winner) return score + 0.5;
+            return score + ((g.winner === 'w' ? g.white : g.black) === player.uid ? 1 : 0);
+        }, 0));
+    }
+
+    // Decided once the trailing player can't catch up in the games that are left
+    function isMatchDecided(match) {
+        const scores = getMatchScores(match);
+        const left = match.length - match.games.length;
+        return left <= 0 || Math.abs(scores[0] - scores[1]) > left;
+    }
+
+    // Adds the finished game to the match. A game between other players than the match's, or
+    // after the match was decided, starts a new match.
+    function recordMatchGame() {
+        const white = getPlayer('w');
+        const black = getPlayer('b');
+        if (!config.match || !white || !black || white.uid === black.uid || !isArchiveWriter()) return;
+        let match = state.match;
+        if (match && match.games.some(g => g.id === state.gameId)) return;
+        const samePlayers = match && [white, black].every(p => match.players.some(q => q.uid === p.uid));
+        if (!samePlayers || isMatchDecided(match)) match = { length: config.match, players: [white, black], games: [] };
+        match.games.push({ id: state.gameId, white: white.uid, black: black.uid, winner: state.game.result.winner || null });
+        state.match = match;
+        console.log(`Match game ${match.games.length} recorded. ${describeMatch(match).split('\n').pop()}`);
+        publishGameState();
+        updateScoreboard();
+        if (isMatchDecided(match)) return;
+
+        const gameId = state.gameId;
+        setTimeout(() => {
+            if (state.gameId !== gameId) return; // Someone already started another game
+            // The computer keeps its side; otherwise the players change colours.
+            if (!config.ai) applySeats({ w: state.seats.b, b: state.seats.w });
+            startNewGame(loadStartPosition);
+        }, MATCH_NEXT_DELAY);
+    }
+
+    function formatScore(score) {
+        const whole = Math.floor(score);
+        if (score === whole) return `${whole}`;
+        return whole ? `${whole}½` : '½';
+    }
+
+    function describeMatch(match) {
+        if (!match) return `Best of ${config.match}\nSit down to start the match`;
+        const scores = getMatchScores(match);
+        const lines = [`Best of ${match.length} - ${match.games.length} played`];
+        match.players.forEach((p, i) => lines.push(`${p.name}: ${formatScore(scores[i])}`));
+        if (isMatchDecided(match)) {
+            const score = `${formatScore(Math.max(...scores))}-${formatScore(Math.min(...scores))}`;
+            if (scores[0] === scores[1]) lines.push(`Match drawn ${score}`);
+            else lines.push(`${match.players[scores[0] > scores[1] ? 0 : 1].name} wins the match ${score}`);
+        }
+        return lines.join('\n');
+    }
+
+    async function createScoreboard() {
+        // Left of the board, in front of the leaderboard
+        state.scoreboardLabel = await createTextLabel("Scoreboard", state.boardRoot, new BS.Vector3(-3.2, 1, 1), "", 2, new BS.Vector2(2, 1.2));
+        updateScoreboard();
+    }
+
+    function updateScoreboard() {
+        if (state.scoreboardLabel) state.scoreboardLabel.text = describeMatch(state.match);
+    }
+
+    // --- Clocks ---
+    // Clock state lives in the synced game state as remaining times plus the timestamp at
+    // which the current turn started, so every client computes the same remaining time.
+    function newClock() {
+        const tc = config.timeControl;
+        return { initial: tc.initial, increment: tc.increment, remaining: { w: tc.initial, b: tc.initial }, turnStart: null };
+    }
+
+    function getRemainingTime(color) {
+        const clock = state.clock;
+        if (!clock) return 0;
+        let remaining = clock.remaining[color];
+        const running = clock.turnStart !== null && !state.game.isGameOver();
+        if (running && state.game.chess.turn() === color) remaining -= Date.now() - clock.turnStart;
+        return Math.max(0, remaining);
+    }
+
+    // Called after `color` has moved. The clocks start with White's first move.
+    function punchClock(color) {
+        const clock = state.clock;
+        if (!clock) return;
+        const now = Date.now();
+        if (clock.turnStart !== null) {
+            clock.remaining[color] = Math.max(0, clock.remaining[color] - (now - clock.turnStart)) + clock.increment;
+        }
+        clock.turnStart = state.game.isGameOver() ? null : now;
+    }
+
+    function formatClock(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+    }
+
+    async function createClocks() {
+        state.clock = newClock();
+        // Beside the board on the right, each clock next to its player's edge
+        state.clockLabels.w = await createTextLabel("Clock_w", state.boardRoot, new BS.Vector3(2.6, 0.3, 1.5), "", 3);
+        state.clockLabels.b = await createTextLabel("Clock_b", state.boardRoot, new BS.Vector3(2.6, 0.3, -1.5), "", 3);
+        setInterval(updateClocks, 250);
+        updateClocks();
+    }
+
+    function updateClocks() {
+        if (!state.clock) return;
+        for (const color of ['w', 'b']) {
+            if (state.clockLabels[color]) state.clockLabels[color].text = `${SEAT_NAMES[color]} ${formatClock(getRemainingTime(color))}`;
+        }
+        checkFlagFall();
+    }
+
+    // Only one client declares that a flag has fallen: the opponent's when they're seated here,
+    // otherwise the archive writer's. The others take the declaration once their own clock is
+    // within FLAG_TOLERANCE of running out too, so a fast clock can't end the game early.
+    const FLAG_TOLERANCE = 2000; // Milliseconds
+
+    function declaresFlag(turn) {
+        const opponent = state.seats[turn === 'w' ? 'b' : 'w'];
+        if (opponent && isUserPresent(opponent.uid)) return isLocalUser(opponent);
+        return isArchiveWriter();
+    }
+
+    // Whether `gameState` ends the game on time before this client's clock agrees
+    function isEarlyFlag(gameState) {
+        const result = gameState.result;
+        if (!result || result.reason !== 'timeout' || state.game.result || !state.clock) return false;
+        // A client that missed the last move can't compare clocks, so takes it as it is.
+        if (gameState.moves.length !== state.game.getHistory().length) return false;
+        const loser = result.winner === 'w' ? 'b' : 'w';
+        return getRemainingTime(loser) > FLAG_TOLERANCE;
+    }
+
+    function checkFlagFall() {
+        const game = state.game;
+        const clock = state.clock;
+        if (state.pendingFlag && !isEarlyFlag(state.pendingFlag)) {
+            const pending = state.pendingFlag;
+            state.pendingFlag = null;
+            receiveGameState(pending);
+            return;
+        }
+        if (!clock || clock.turnStart === null || game.isGameOver()) return;
+        const turn = game.chess.turn();
+        if (getRemainingTime(turn) > 0 || !declaresFlag(turn)) return;
+        console.log(`${SEAT_NAMES[turn]}'s flag fell.`);
+        const before = getGameSnapshot();
+        clock.remaining[turn] = 0;
+        clock.turnStart = null;
+        game.setResult({ winner: turn === 'w' ? 'b' : 'w', reason: 'timeout' });
+        clearSelection();
+        publishGameState();
+        updatePanel();
+        emitGameEvents(before, true);
+    }
+
+    // --- Computer Opponent ---
+    // Serialised into a Blob and run as a Web Worker, so it must not reference anything
+    // outside its own body. Negamax alpha-beta search over chess.js move generation.
+    function chessEngineWorker() {
+        const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+        const MATE = 100000;
+        const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+        let variant = 'standard';
+        let checks = { w: 0, b: 0 }; // Checks given so far, for Three-check
+
+        function play(chess, move) {
+            chess.move(move);
+            if (chess.in_check()) checks[move.color]++;
+        }
+
+        function unplay(chess) {
+            const gaveCheck = chess.in_check();
+            const move = chess.undo();
+            if (gaveCheck) checks[move.color]--;
+        }
+
+        // True when the side that just moved has won by the variant's extra rules.
+        function wonByVariant(chess) {
+            const mover = chess.turn() === 'w' ? 'b' : 'w';
+            if (variant === 'threecheck') return checks[mover] >= 3;
+            if (variant === 'kingofthehill') {
+                return HILL_SQUARES.some(sq => {
+                    const piece = chess.get(sq);
+                    return piece && piece.type === 'k' && piece.color === mover;
+                });
+            }
+            return false;
+        }
+
+        // Small positional bonuses: advance pawns, centralise minor pieces, keep the king home.
+        function positionalBonus(type, color, row, col) {
+            const advance = color === 'w' ? 7 - row : row;
+            const centre = 3.5 - Math.max(Math.abs(3.5 - row), Math.abs(3.5 - col));
+            switch (type) {
+                case 'p': return advance * 8 + (col >= 2 && col <= 5 ? centre * 6 : 0);
+                case 'n': return centre * 12;
+                case 'b': return centre * 8;
+                case 'r': return advance === 6 ? 20 : 0;
+                case 'q': return centre * 3;
+                case 'k': return advance === 0 ? 10 : -advance * 15;
+                default: return 0;
+            }
+        }
+
+        // Score from the point of view of the side to move
+        function evaluate(chess) {
+            let score = 0;
+            const board = chess.board();
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const sq = board[row][col];
+                    if (!sq) continue;
+                    const value = PIECE_VALUES[sq.type] + positionalBonus(sq.type, sq.color, row, col);
+                    score += sq.color === 'w' ? value : -value;
+                }
+            }
+            return chess.turn() === 'w' ? score : -score;
+        }
+
+        // Captures first, most valuable victim by least valuable attacker
+        function orderMoves(moves) {
+            const weight = (m) => (m.captured ? PIECE_VALUES[m.captured] * 10 - PIECE_VALUES[m.piece] : 0) + (m.promotion ? PIECE_VALUES[m.promotion] : 0);
+            return moves.sort((a, b) => weight(b) - weight(a));
+        }
+
+        // Only captures are searched past the horizon, so exchanges are not cut off halfway.
+        function quiesce(chess, alpha, beta, depth) {
+            if (wonByVariant(chess)) return -MATE;
+            const standPat = evaluate(chess);
+            if (standPat >= beta || depth === 0) return standPat;
+            if (standPat > alpha) alpha = standPat;
+            const captures = orderMoves(chess.moves({ verbose: true }).filter(m => m.captured));
+            for (const move of captures) {
+                play(chess, move);
+                const score = -quiesce(chess, -beta, -alpha, depth - 1);
+                unplay(chess);
+                if (score >= beta) return beta;
+                if (score > alpha) alpha = score;
+            }
+            return alpha;
+        }
+
+        function negamax(chess, depth, alpha, beta) {
+            if (wonByVariant(chess)) return -MATE - depth;
+            const moves = chess.moves({ verbose: true });
+            // Prefer the quickest mate: more remaining depth means the mate is closer to the root.
+            if (moves.length === 0) return chess.in_check() ? -MATE - depth : 0;
+            if (chess.in_draw()) return 0;
+            if (depth === 0) return quiesce(chess, alpha, beta, 4);
+            for (const move of orderMoves(moves)) {
+                play(chess, move);
+                const score = -negamax(chess, depth - 1, -beta, -alpha);
+                unplay(chess);
+                if (score >= beta) return beta;
+                if (score > alpha) alpha = score;
+            }
+            return alpha;
+        }
+
+        // `castles` are the Chess960 castling moves open to the side to move, each with the
+        // position it leads to. chess.js doesn't know them, so they're only weighed here, for
+        // the move being chosen, and not further down the tree.
+        function search(chess, depth, castles) {
+            let best = [];
+            let alpha = -Infinity;
+            const consider = (move, score) => {
+                if (score > alpha) {
+                    alpha = score;
+                    best = [move];
+                } else if (score === alpha) {
+                    best.push(move);
+                }
+            };
+            for (const move of orderMoves(chess.moves({ verbose: true }))) {
+                play(chess, move);
+                const score = -negamax(chess, depth - 1, -Infinity, -alpha + 1);
+                unplay(chess);
+                consider(move, score);
+            }
+            for (const castle of castles) {
+                consider(castle, -negamax(new Chess(castle.fen), depth - 1, -Infinity, -alpha + 1));
+            }
+            // Pick among equally good moves so games don't always repeat.
+            const move = best[Math.floor(Math.random() * best.length)];
+            return move ? { from: move.from, to: move.to, promotion: move.promotion } : null;
+        }
+
+        self.onmessage = (e) => {
+            const { id, fen, depth, chessUrls } = e.data;
+            // The worker always gets the 0.10 API: the copy Chess.js loaded, or the bundled one.
+            for (const url of chessUrls) {
+                if (typeof Chess !== 'undefined') break;
+                try {
+                    importScripts(url);
+                } catch (err) {
+                    console.warn("Engine could not load chess.js from", url);
+                }
+            }
+            // A failed search still answers, so the page isn't left waiting on this request.
+            try {
+                variant = e.data.variant || 'standard';
+                checks = Object.assign({ w: 0, b: 0 }, e.data.checks);
+                self.postMessage({ id, move: search(new Chess(fen), depth, e.data.castles || []) });
+            } catch (err) {
+                self.postMessage({ id, move: null, error: String(err && err.message || err) });
+            }
+        };
+    }
+
+    function getAiWorker() {
+        if (state.aiWorker === null) {
+            try {
+                const source = `(${chessEngineWorker.toString()})();`;
+                const blobUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+                state.aiWorker = new Worker(blobUrl);
+                state.aiWorker.onmessage = (e) => onAiMove(e.data);
+                state.aiWorker.onerror = (e) => {
+                    console.error("Computer opponent failed:", e.message || e);
+                    state.aiRequest = null; // Let the next request for this position through
+                };
+            } catch (e) {
+                console.error("Could not start the computer opponent worker:", e);
+                state.aiWorker = false;
+            }
+        }
+        return state.aiWorker;
+    }
+
+    function getPresentUids() {
+        const scene = BS.BanterScene.GetInstance();
+        const uids = new Set(Object.values(scene.users || {}).map(u => u && u.uid).filter(Boolean));
+        if (scene.localUser) uids.add(scene.localUser.uid);
+        return [...uids].sort();
+    }
+
+    // Exactly one client computes the computer's reply: the human seated against it when
+    // they're here, otherwise whoever has the lowest uid in the space.
+    function isAiOwner() {
+        const opponent = state.seats[config.ai === 'w' ? 'b' : 'w'];
+        if (opponent && isUserPresent(opponent.uid)) return isLocalUser(opponent);
+        const user = getLocalUser();
+        return !!user && getPresentUids()[0] === user.uid;
+    }
+
+    function maybeRequestAiMove() {
+        const game = state.game;
+        if (!config.ai || game.isGameOver() || game.chess.turn() !== config.ai || !isAiOwner()) return;
+        const fen = game.getFen();
+        if (state.aiRequest && state.aiRequest.fen === fen) return; // Already thinking
+        const worker = getAiWorker();
+        if (!worker) return;
+        state.aiRequest = { id: (state.aiRequest ? state.aiRequest.id : 0) + 1, fen };
+        worker.postMessage({
+            id: state.aiRequest.id, fen, depth: config.aiLevel, chessUrls: chessJsUrl ? [chessJsUrl] : getChessJsUrls(),
+            variant: game.variant.name, checks: { w: game.getCheckCount('w'), b: game.getCheckCount('b') },
+            castles: game.getCastles().map(castle => ({ from: castle.kingFrom, to: castle.rookFrom, fen: game.getCastledFen(castle) }))
+        });
+    }
+
+    function onAiMove(data) {
+        const request = state.aiRequest;
+        if (!request || data.id !== request.id) return;
+        state.aiRequest = null;
+        // The game may have moved on (reset, sync) while the engine was thinking.
+        if (state.game.getFen() !== request.fen) return maybeRequestAiMove();
+        // Not retried straight away, which would loop on an engine that keeps failing; the next
+        // change to the game asks again.
+        if (!data.move) return console.error("Computer opponent found no move:", data.error || "no legal move");
+        console.log("Computer plays", data.move);
+        if (!commitMove(data.move)) console.error("Computer produced an illegal move:", data.move);
+    }
+
+    // --- Seats ---
+    const SEAT_NAMES = { w: 'White', b: 'Black' };
+
+    function getLocalUser() {
+        return BS.BanterScene.GetInstance().localUser || null;
+    }
+
+    function isLocalUser(seat) {
+        const user = getLocalUser();
+        return !!(seat && user && seat.uid === user.uid);
+    }
+
+    // The local user counts as present even before they show up in `users`, as in getPresentUids().
+    function isUserPresent(uid) {
+        if (isLocalUser({ uid })) return true;
+        const users = BS.BanterScene.GetInstance().users;
+        if (!users) return false;
+        if (users[uid]) return true;
+        return Object.values(users).some(u => u && u.uid === uid);
+    }
+
+    // With nobody seated the board stays open to everyone, as before seats existed.
+    // Once either side is claimed, only the player seated on a side may move its pieces.
+    function canControl(color) {
+        if (color === config.ai) return false;
+        const user = getLocalUser();
+        return mayMove(color, user && user.uid);
+    }
+
+    // Whether the user `uid` may move for `color`. Any client may publish the computer's moves.
+    function mayMove(color, uid) {
+        if (color === config.ai) return true;
+        if (!state.seats.w && !state.seats.b) return true;
+        return !!state.seats[color] && state.seats[color].uid === uid;
+    }
+
+    async function createSeatButtons() {
+        // White sits on the +z edge (rank 1), Black on the -z edge (rank 8).
+        state.seatButtons.w = await createButton("SeatButton_w", state.boardRoot, new BS.Vector3(-1.5, 0, 2.5), new BS.Vector3(0, 0, 0),
+            COLORS.white, "Sit as White", () => toggleSeat('w'));
+        state.seatButtons.b = await createButton("SeatButton_b", state.boardRoot, new BS.Vector3(1.5, 0, -2.5), new BS.Vector3(0, 180, 0),
+            COLORS.black, "Sit as Black", () => toggleSeat('b'));
+        updateSeatLabels();
+    }
+
+    function toggleSeat(color) {
+        const user = getLocalUser();
+        if (!user || color === config.ai) return;
+        const seat = state.seats[color];
+        if (isLocalUser(seat)) {
+            console.log(`Standing up from ${SEAT_NAMES[color]}.`);
+            state.seats[color] = null;
+        } else if (!seat) {
+            console.log(`Sitting as ${SEAT_NAMES[color]}.`);
+            state.seats[color] = { uid: user.uid, name: user.name || user.uid };
+        } else {
+            console.log(`${SEAT_NAMES[color]} seat is already taken by ${seat.name}.`);
+            return;
+        }
+        clearSelection();
+        publishGameState();
+        updateSeatLabels();
+        updatePanel();
+    }
+
+    function applySeats(seats) {
+        state.seats = { w: seats.w || null, b: seats.b || null };
+        updateSeatLabels();
+        watchSeatedUsers();
+    }
+
+    function updateSeatLabels() {
+        for (const color of ['w', 'b']) {
+            const btn = state.seatButtons[color];
+            if (!btn) continue;
+            const seat = state.seats[color];
+            let text = `Sit as ${SEAT_NAMES[color]}`;
+            if (color === config.ai) text = `${SEAT_NAMES[color]}: Computer`;
+            else if (isLocalUser(seat)) text = `${SEAT_NAMES[color]}: ${seat.name}\n(Stand up)`;
+            else if (seat) text = `${SEAT_NAMES[color]}: ${seat.name}`;
+            btn.setLabel(text);
+        }
+    }
+
+    // Start a release timer for every seat whose user is not in the space, and cancel
+    // the timers of users who are back. `change` is the user-joined/user-left event detail,
+    // as the users list may not be updated yet when those events fire.
+    function watchSeatedUsers(change) {
+        for (const color of ['w', 'b']) {
+            const seat = state.seats[color];
+            const timer = state.seatTimers[color];
+            let present = seat && isUserPresent(seat.uid);
+            if (seat && change && change.user && change.user.uid === seat.uid) present = change.joined;
+            if (seat && !present) {
+                if (timer && timer.uid === seat.uid) continue;
+                if (timer) clearTimeout(timer.id);
+                const id = setTimeout(() => releaseSeat(color, seat.uid), config.seatTimeout * 1000);
+                state.seatTimers[color] = { uid: seat.uid, id };
+            } else if (timer) {
+                clearTimeout(timer.id);
+                delete state.seatTimers[color];
+            }
+        }
+    }
+
+    function releaseSeat(color, uid) {
+        delete state.seatTimers[color];
+        const seat = state.seats[color];
+        if (!seat || seat.uid !== uid || isUserPresent(uid)) return;
+        console.log(`Releasing ${SEAT_NAMES[color]} seat held by ${seat.name}, who left the space.`);
+        state.seats[color] = null;
+        clearSelection();
+        publishGameState();
+        updateSeatLabels();
+        updatePanel();
+    }
+
+    // --- Resign, Draw Offers and Takebacks ---
+    // A pending offer is part of the synced state as { type: 'draw' | 'takeback', by, ply },
+    // `ply` being the number of moves played when it was made. Making a move cancels it.
+    const OFFER_NAMES = { draw: 'Draw', takeback: 'Takeback' };
+
+    async function createGameControls() {
+        // A row behind each player's seat, facing them: White behind the review buttons, Black at the far edge.
+        const rows = { w: { z: 3.7, rot: 0, dir: 1 }, b: { z: -3.1, rot: 180, dir: -1 } };
+        for (const color of ['w', 'b']) {
+            const { z, rot, dir } = rows[color];
+            const names = ['ResignButton', 'DrawButton', 'TakebackButton'];
+            state.controlButtons[color] = [];
+            for (let i = 0; i < names.length; i++) {
+                const btn = await createButton(`${names[i]}_${color}`, state.boardRoot, new BS.Vector3(dir * (i - 1) * 1.1, 0, z), new BS.Vector3(0, rot, 0),
+                    i === 0 ? COLORS.check : COLORS.valid, "", () => getControlActions(color)[i].action());
+                state.controlButtons[color].push(btn);
+            }
+        }
+        updateGameControls();
+    }
+
+    // `color`'s three buttons for the current state, as { label, action }
+    function getControlActions(color) {
+        const offer = state.offer;
+        const resign = { label: "Resign", action: () => resignGame(color) };
+        if (offer && offer.by !== color) {
+            const name = OFFER_NAMES[offer.type];
+            return [resign, { label: `Accept ${name}`, action: () => answerOffer(color, true) }, { label: `Decline ${name}`, action: () => answerOffer(color, false) }];
+        }
+        const pending = (type) => offer && offer.type === type;
+        return [
+            resign,
+            { label: pending('draw') ? "Draw offered\n(Cancel)" : "Offer Draw", action: () => toggleOffer(color, 'draw') },
+            { label: pending('takeback') ? "Takeback asked\n(Cancel)" : "Request\nTakeback", action: () => toggleOffer(color, 'takeback') }
+        ];
+    }
+
+    function updateGameControls() {
+        for (const color of ['w', 'b']) {
+            const buttons = state.controlButtons[color];
+            if (buttons) getControlActions(color).forEach(({ label }, i) => buttons[i].setLabel(label));
         }
+    }
 
-        console.log("Board Initialized with Config:", config);
+    // Only the player in `color`'s seat can use that side's buttons, and only during the game.
+    function canUseControls(color) {
+        if (!isLocalUser(state.seats[color])) {
+            console.log(`Only the seated ${SEAT_NAMES[color]} player can use these buttons.`);
+            return false;
+        }
+        return !state.game.isGameOver();
+    }
 
-        await generateTiles();
+    function resignGame(color) {
+        if (!canUseControls(color)) return;
+        console.log(`${SEAT_NAMES[color]} resigns.`);
+        endGameByAgreement({ winner: color === 'w' ? 'b' : 'w', reason: 'resignation' });
+    }
 
-        // Check UI flag to add buttons
-        if (!config.hideUI) {
-            await createResetButton();
+    function toggleOffer(color, type) {
+        if (!canUseControls(color)) return;
+        const game = state.game;
+        const opponent = color === 'w' ? 'b' : 'w';
+        if (state.offer) {
+            if (state.offer.type !== type) return;
+            console.log(`${SEAT_NAMES[color]} withdraws the ${OFFER_NAMES[type].toLowerCase()} offer.`);
+            state.offer = null;
+        } else {
+            // Offers need someone to answer them; the computer doesn't.
+            if (opponent === config.ai || !state.seats[opponent]) {
+                console.log(`There is no seated ${SEAT_NAMES[opponent]} player to answer.`);
+                return;
+            }
+            if (type === 'takeback' && !game.history.some(m => m.color === color)) return;
+            console.log(`${SEAT_NAMES[color]} offers a ${OFFER_NAMES[type].toLowerCase()}.`);
+            state.offer = { type, by: color, ply: game.getHistory().length };
         }
+        publishGameState();
+        updateGameControls();
+    }
 
-        // Networking Setup
-        setupBanterStateListeners();
+    function answerOffer(color, accept) {
+        const offer = state.offer;
+        if (!offer || offer.by === color || !canUseControls(color)) return;
+        state.offer = null;
+        console.log(`${SEAT_NAMES[color]} ${accept ? 'accepts' : 'declines'} the ${OFFER_NAMES[offer.type].toLowerCase()}.`);
+        if (!accept || offer.ply !== state.game.getHistory().length) {
+            publishGameState();
+            updateGameControls();
+        } else if (offer.type === 'draw') {
+            endGameByAgreement({ winner: null, reason: 'agreement' });
+        } else {
+            takeBack(offer.by);
+        }
     }
 
-    async function createResetButton() {
-        // Child of boardRoot so it scales/rotates with board
-        const btn = await new BS.GameObject("ResetButton").Async();
-        // FIX: SetParent with false to reset local scale relative to parent
-        await btn.SetParent(state.boardRoot, false);
+    // Ends the game between moves, freezing the clocks where they stand.
+    function endGameByAgreement(result) {
+        const game = state.game;
+        const before = getGameSnapshot();
+        const clock = state.clock;
+        if (clock && clock.turnStart !== null) {
+            const turn = game.chess.turn();
+            clock.remaining[turn] = getRemainingTime(turn);
+            clock.turnStart = null;
+        }
+        game.setResult(result);
+        state.offer = null;
+        clearSelection();
+        publishGameState();
+        updateGameControls();
+        updatePanel();
+        emitGameEvents(before, true);
+    }
 
-        // Transform: Position it "below" or "beside" the board side (z positive is "bottom" for white usually)
-        let trans = await btn.AddComponent(new BS.Transform());
-        trans.localPosition = config.resetPosition;
-        trans.localEulerAngles = config.resetRotation;
-        trans.localScale = config.resetScale;
+    // Rolls the history back to before `color`'s last move: one ply if it's their opponent's
+    // turn, two if the opponent has already replied.
+    function takeBack(color) {
+        const game = state.game;
+        const before = getGameSnapshot();
+        const moves = game.getHistory();
+        const count = game.getLastMove().color === color ? 1 : 2;
+        game.loadHistory(game.getStartFen(), moves.slice(0, moves.length - count));
+        if (state.clock) state.clock.turnStart = game.getHistory().length ? Date.now() : null;
+        publishGameState();
+        syncBoard();
+        clearSelection();
+        updateGameControls();
+        updatePanel();
+        emitGameEvents(before, true);
+        maybeRequestAiMove();
+    }
 
-        // Visuals: Red Box
-        const w = 1.0, h = 0.2, d = 0.4;
-        const geoArgs = [BS.GeometryType.BoxGeometry, null, w, h, d, 1, 1, 1, 0.5, 24, 0, 6.28, 0, 6.28, 8, false, 0.5, 0.5, 0, 1, 24, 8, 0.4, 16, 6.28, 2, 3, 5, 5, 0, ""];
-        await btn.AddComponent(new BS.BanterGeometry(...geoArgs));
+    async function createButton(name, parent, posLocal, rotLocal, colorHex, labelText, onClick) {
+        const btn = await new BS.GameObject(name).Async();
+        await btn.SetParent(parent, false);
 
-        const redColor = new BS.Vector4(0.8, 0.2, 0.2, 1);
-        const buttonShader = config.lighting === 'lit' ? 'Standard' : 'Unlit/Diffuse';
-        await btn.AddComponent(new BS.BanterMaterial(buttonShader, "", redColor, BS.MaterialSide.Front, false));
+        let trans = await btn.AddComponent(new BS.Transform());
+        trans.localPosition = posLocal;
+        trans.localEulerAngles = rotLocal;
 
-        // Collider for click
+        const w = 1.0, h = 0.2, d = 0.4;
+        await btn.AddComponent(new BS.BanterGeometry(...getGeometryArgs(BS.GeometryType.BoxGeometry, { width: w, height: h, depth: d })));
+        const shader = config.lighting === 'lit' ? 'Standard' : 'Unlit/Diffuse';
+        await btn.AddComponent(new BS.BanterMaterial(shader, "", hexToVector4(colorHex), BS.MaterialSide.Front, false, name));
         await btn.AddComponent(new BS.BoxCollider(true, new BS.Vector3(0, 0, 0), new BS.Vector3(w, h, d)));
         await btn.SetLayer(5); // UI Layer
 
-        // Logic
-        btn.On('click', () => {
-            console.log("Requesting game reset...");
-            const boardState = { fen: 'reset' };
-            const stateKey = 'chess_game_' + config.instance;
-            BS.BanterScene.GetInstance().SetPublicSpaceProps({ [stateKey]: JSON.stringify(boardState) });
+        // Label floats just above the button, facing the player standing in front of it.
+        const label = await createTextLabel(`${name}_Label`, btn, new BS.Vector3(0, 0.3, 0), labelText, 1.5);
+        btn.setLabel = (text) => { label.text = text; };
 
-            // Optimistically reset for the local user, as the `space-state-changed` event
-            // may not fire reliably for the originating client.
-            console.log("Optimistically resetting local board.");
-            window.chessGame.reset();
-            syncBoard();
-            clearSelection();
+        btn.On('click', (e) => {
+            if (state.ready) onClick(e);
         });
+        return btn;
+    }
+
+    async function createTextLabel(name, parent, posLocal, text, fontSize, size) {
+        const obj = await new BS.GameObject(name).Async();
+        await obj.SetParent(parent, false);
+        let trans = await obj.AddComponent(new BS.Transform());
+        trans.localPosition = posLocal;
+        // Text faces -z by default; turn it towards the White side of the board.
+        trans.localEulerAngles = new BS.Vector3(0, 180, 0);
+        return await obj.AddComponent(new BS.BanterText(text, new BS.Vector4(1, 1, 1, 1), BS.HorizontalAlignment.Center, BS.VerticalAlignment.Center, fontSize, false, true, size || new BS.Vector2(3, 1)));
     }
 
     async function createBanterObject(name, parent, posLocal, colorHex, geometryType, dims) {
@@ -269,6 +2156,7 @@
     async function generateTiles() {
         const size = state.tileSize;
         const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+        const tiles = [];
         for (let x = 0; x < 8; x++) {
             for (let z = 0; z < 8; z++) {
                 const file = letters[x];
@@ -278,18 +2166,30 @@
                 const xPos = (x * size) - state.offset;
                 const zPos = -((rank - 1) * size) + state.offset;
 
-                const tile = await createBanterObject(`Tile_${squareId}`, state.boardRoot, new BS.Vector3(xPos, 0, zPos),
-                    isWhite ? COLORS.white : COLORS.black, BS.GeometryType.BoxGeometry, { width: 0.5, height: 0.1, depth: 0.5 });
-
-                tile.On('click', () => handleSquareClick(squareId));
-                state.tiles[squareId] = tile;
+                tiles.push(createBanterObject(`Tile_${squareId}`, state.boardRoot, new BS.Vector3(xPos, 0, zPos),
+                    isWhite ? COLORS.white : COLORS.black, BS.GeometryType.BoxGeometry, { width: 0.5, height: 0.1, depth: 0.5 }).then(tile => {
+                    tile.On('click', () => handleSquareClick(squareId));
+                    state.tiles[squareId] = tile;
 
-                // Set initial color/transparency now that the tile is created
-                setMaterialColor(tile, isWhite ? COLORS.white : COLORS.black);
+                    // Set initial color/transparency now that the tile is created
+                    setMaterialColor(tile, getTileColor(squareId));
+                }));
             }
         }
-        // Initial Sync
-        await syncBoard();
+        // Initial Sync, alongside the tiles
+        await Promise.all([...tiles, syncBoard().then(fillPromotionPool)]);
+    }
+
+    // Hides a queen, rook, bishop and knight of each colour in the piece pool, so the first
+    // promotion to each doesn't wait for a new piece to load.
+    async function fillPromotionPool() {
+        const chars = PROMOTION_CHOICES.flatMap(type => [type.toUpperCase(), type]);
+        await Promise.all(chars.map(async (char) => {
+            const piece = await createPiece(char, 'a1', state.piecesRoot);
+            if (!piece) return;
+            await piece.SetActive(false);
+            poolPiece(piece);
+        }));
     }
 
     const PIECE_MODELS = {
@@ -327,19 +2227,93 @@
         return pos;
     }
 
-    function getModelUrl(modelName) {
+    // URL of a model in the `base` folder (relative to Chess.js), by default the bundled models/
+    // folder next to it.
+    function getModelUrl(modelName, base) {
+        const folder = (base || 'models').replace(/\/?$/, '/');
         try {
             // Use the captured 'currentScript' variable from the top of the IIFE
-            if (currentScript) {
-                // /Chess.js -> /Banter-Chess/models/Name.glb
-                return new URL(`/Banter-Chess/models/${modelName}`, currentScript.src).href;
-            }
+            if (currentScript) return new URL(folder + modelName, currentScript.src).href;
         } catch (e) { console.error("Error resolving model URL:", e); }
         // Fallback if script tag parsing failed
-        return `Banter-Chess/models/${modelName}`;
+        return folder + modelName;
+    }
+
+    // Custom models are checked once each, so a missing file falls back to the bundled one
+    // instead of leaving an empty square.
+    const modelUrls = {}; // model name -> Promise of the URL to load
+
+    function resolveModelUrl(modelName) {
+        if (!config.modelsBase) return Promise.resolve(getModelUrl(modelName));
+        if (!modelUrls[modelName]) {
+            const url = getModelUrl(modelName, config.modelsBase);
+            modelUrls[modelName] = fetch(url, { method: 'HEAD' })
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return url;
+                })
+                .catch(err => {
+                    console.warn(`Custom model ${url} is unavailable (${err.message}), using the bundled one.`);
+                    return getModelUrl(modelName);
+                });
+        }
+        return modelUrls[modelName];
+    }
+
+    // Each model is loaded once, into a hidden template under the board, and every piece that
+    // uses it gets a copy made with BanterScene.Instantiate. Where the SDK has no Instantiate,
+    // each piece loads its own BanterGLTF instead.
+    const modelTemplates = {}; // URL -> Promise of the template GameObject
+
+    function getModelTemplate(url) {
+        if (!modelTemplates[url]) {
+            const load = (async () => {
+                const template = await new BS.GameObject(`ModelTemplate_${url.split('/').slice(-2).join('_')}`).Async();
+                await template.SetParent(state.boardRoot, false);
+                await template.SetActive(false);
+                await template.AddComponent(new BS.Transform());
+                await template.AddComponent(new BS.BanterGLTF(url, false, false, false, false, false, false));
+                return template;
+            })();
+            // Forget a failed load, so falling back to the bundled model can load that one.
+            modelTemplates[url] = load.catch(err => {
+                delete modelTemplates[url];
+                throw err;
+            });
+        }
+        return modelTemplates[url];
+    }
+
+    // Puts the model at `url` under `model`, returning the object that holds the mesh.
+    async function addGltf(model, url) {
+        const scene = BS.BanterScene.GetInstance();
+        if (typeof scene.Instantiate !== 'function') {
+            await model.AddComponent(new BS.BanterGLTF(url, false, false, false, false, false, false));
+            return model;
+        }
+        const copy = await scene.Instantiate(await getModelTemplate(url));
+        await copy.SetParent(model, false);
+        await copy.SetActive(true);
+        return copy;
+    }
+
+    async function addPieceModel(model, modelName) {
+        const url = await resolveModelUrl(modelName);
+        console.log(`Loading GLB from: ${url}`);
+        try {
+            return await addGltf(model, url);
+        } catch (err) {
+            const bundled = getModelUrl(modelName);
+            if (url === bundled) throw err;
+            console.warn(`Failed to load custom model ${url}, using the bundled one:`, err);
+            modelUrls[modelName] = Promise.resolve(bundled);
+            return await addGltf(model, bundled);
+        }
     }
 
-    async function createPiece(char, squareId, parent) {
+    // `onClick` replaces the default board behaviour (selecting the piece's square), e.g. for
+    // the promotion picker.
+    async function createPiece(char, squareId, parent, onClick) {
         try {
             console.log(`Creating piece ${char} at ${squareId}`);
             const isWhite = char === char.toUpperCase();
@@ -371,12 +2345,10 @@
 
             // CHANGED: Use subfolders for White/Black models
             const folder = isWhite ? 'White' : 'Black';
-            const url = getModelUrl(`${folder}/${modelName}`);
-            console.log(`Loading GLB from: ${url}`);
 
             try {
                 // Attach GLTF to the model sub-object
-                await model.AddComponent(new BS.BanterGLTF(url, false, false, false, false, false, false));
+                const mesh = await addPieceModel(model, `${folder}/${modelName}`);
 
                 // If using lit lighting, add a standard material to override the GLTF's unlit one.
                 if (config.lighting === 'lit') {
@@ -384,7 +2356,7 @@
                     const colorVec4 = hexToVector4(colorHex);
                     // This is a speculative change. It assumes adding a new BanterMaterial will
                     // override the material of the loaded GLTF. The "Standard" shader is also a guess.
-                    await model.AddComponent(new BS.BanterMaterial("Standard", "", colorVec4, BS.MaterialSide.Front, false));
+                    await mesh.AddComponent(new BS.BanterMaterial("Standard", "", colorVec4, BS.MaterialSide.Front, false));
                 } else {
                     // For unlit, we'll apply our own material to control color and transparency.
                     const colorHex = isWhite ? COLORS.whitePiece : COLORS.blackPiece;
@@ -396,7 +2368,7 @@
                     const shader = isTransparent ? 'Unlit/DiffuseTransparent' : 'Unlit/Diffuse';
                     const texture = isTransparent ? null : '';
                     
-                    await model.AddComponent(new BS.BanterMaterial(shader, texture, colorVec4, BS.MaterialSide.Front, false));
+                    await mesh.AddComponent(new BS.BanterMaterial(shader, texture, colorVec4, BS.MaterialSide.Front, false));
                 }
             } catch (glbErr) {
                 console.error(`Failed to load GLTF for ${char}:`, glbErr);
@@ -407,10 +2379,13 @@
             await piece.SetLayer(5); // UI layer
 
             piece.On('click', () => {
+                if (onClick) return onClick();
                 const currentSq = Object.keys(state.pieces).find(key => state.pieces[key] === piece);
                 console.log(`Piece clicked: ${char} at ${currentSq}`);
                 if (currentSq) handleSquareClick(currentSq);
             });
+            // Pieces on the board can also be picked up and put down on a square in VR.
+            if (!onClick) await makeGrabbable(piece, transform);
 
             piece.pieceType = char;
             return piece;
@@ -429,7 +2404,7 @@
             trans.localPosition = new BS.Vector3(0, 0, 0);
         }
 
-        const fen = window.chessGame.getFen();
+        const fen = getDisplayedGame().getFen();
         const rows = fen.split(' ')[0].split('/');
         const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
         const newBoardState = {};
@@ -449,11 +2424,13 @@
 
         // 2. Prepare pool of available pieces from current state
         const availablePieces = {}; // char -> [GameObject]
+        const previousSquares = new Map(); // GameObject -> square it stood on
         if (state.pieces) {
-            Object.values(state.pieces).forEach(p => {
+            Object.entries(state.pieces).forEach(([sq, p]) => {
                 const type = p.pieceType;
                 if (!availablePieces[type]) availablePieces[type] = [];
                 availablePieces[type].push(p);
+                previousSquares.set(p, sq);
             });
         }
 
@@ -479,37 +2456,226 @@
             }
         }
 
-        // 4. PASS 2: Fill gaps (moved pieces or new promotions)
+        // 4. PASS 2: Fill gaps (moved pieces or new promotions). New pieces come from the pool
+        // of captured ones when possible, and are otherwise all created at once.
+        const creations = [];
         for (const { sq, char } of pendingSquares) {
             let piece = null;
             if (availablePieces[char] && availablePieces[char].length > 0) {
-                // Reuse a piece that moved from somewhere else
-                piece = availablePieces[char].pop();
+                // Reuse the nearest piece that moved from somewhere else, so e.g. the right rook castles
+                const list = availablePieces[char];
+                const distance = (p) => squareDistance(previousSquares.get(p), sq);
+                const idx = list.reduce((best, p, i) => distance(p) < distance(list[best]) ? i : best, 0);
+                piece = list.splice(idx, 1)[0];
                 const trans = piece.GetComponent(BS.ComponentType.Transform);
                 // FIX: Use getPiecePos so moved pieces keep their Y-offset
-                if (trans) trans.localPosition = getPiecePos(sq, char);
+                if (trans) {
+                    // A piece that was carried by hand settles from where it was let go.
+                    const from = piece.heldPosition || getPiecePos(previousSquares.get(piece), char);
+                    // Knights hop over the pieces in their way; everything else glides.
+                    const hop = !piece.heldPosition && char.toLowerCase() === 'n' ? 0.4 : 0;
+                    piece.heldPosition = null;
+                    animateTransform(piece, trans, from, getPiecePos(sq, char), null, hop);
+                }
             } else {
+                piece = takePooledPiece(char, sq);
                 // Determine creation parent (piecesRoot)
-                piece = await createPiece(char, sq, state.piecesRoot);
+                if (!piece) creations.push(createPiece(char, sq, state.piecesRoot).then(p => { if (p) nextPiecesMap[sq] = p; }));
             }
 
             if (piece) {
                 nextPiecesMap[sq] = piece;
             }
         }
+        await Promise.all(creations);
 
-        // 5. Destroy unused pieces (captured)
+        // 5. Destroy unused pieces (captured), letting them sink out of sight first
         for (const list of Object.values(availablePieces)) {
             for (const p of list) {
-                p.Destroy();
+                removePiece(p);
             }
         }
 
         // 6. Update State
         state.pieces = nextPiecesMap;
+        updateTrays();
         console.log("Board sync complete.");
     }
 
+    // --- Captured Pieces ---
+    const TRAY_ORDER = ['q', 'r', 'b', 'n', 'p'];
+    const TRAY_SCALE = 0.5;
+
+    // Each tray runs along the capturing player's right-hand edge of the board, starting at their end.
+    function getTraySlotPos(color, index, gaps, char) {
+        const dir = color === 'w' ? 1 : -1;
+        const z = dir * (1.9 - index * 0.2 - gaps * 0.1);
+        const y = 0.05 + (getPiecePos('a1', char).y - 0.05) * TRAY_SCALE;
+        return new BS.Vector3(dir * 2.25, y, z);
+    }
+
+    // Updates run one at a time, as they wait on piece models loading.
+    function updateTrays() {
+        state.trayUpdate = state.trayUpdate.then(rebuildTrays).catch(err => console.error("Failed to update captured pieces:", err));
+        return state.trayUpdate;
+    }
+
+    async function rebuildTrays() {
+        if (!state.trayRoot) {
+            state.trayRoot = await new BS.GameObject("CapturedTrays").Async();
+            await state.trayRoot.SetParent(state.boardRoot, false);
+            await state.trayRoot.AddComponent(new BS.Transform());
+            state.materialLabels.w = await createTextLabel("MaterialLabel_w", state.trayRoot, new BS.Vector3(2.25, 0.35, 2.2), "", 2);
+            state.materialLabels.b = await createTextLabel("MaterialLabel_b", state.trayRoot, new BS.Vector3(-2.25, 0.35, -2.2), "", 2);
+        }
+
+        const game = getDisplayedGame();
+        const captured = game.getCaptured();
+        for (const color of ['w', 'b']) {
+            const wanted = captured[color].slice().sort((a, b) => TRAY_ORDER.indexOf(a.toLowerCase()) - TRAY_ORDER.indexOf(b.toLowerCase()));
+            const pool = state.trays[color];
+            const next = [];
+            for (const char of wanted) {
+                // Keep models that are already in the tray, only loading the new captures
+                const idx = pool.findIndex(p => p.pieceType === char);
+                let piece = idx > -1 ? pool.splice(idx, 1)[0] : await createPiece(char, 'a1', state.trayRoot, () => {});
+                if (piece) next.push(piece);
+            }
+            pool.forEach(p => p.Destroy());
+            state.trays[color] = next;
+
+            let gaps = 0;
+            next.forEach((piece, i) => {
+                if (i > 0 && piece.pieceType !== next[i - 1].pieceType) gaps++;
+                const trans = piece.GetComponent(BS.ComponentType.Transform);
+                if (!trans) return;
+                trans.localPosition = getTraySlotPos(color, i, gaps, piece.pieceType);
+                trans.localScale = new BS.Vector3(TRAY_SCALE, TRAY_SCALE, TRAY_SCALE);
+            });
+        }
+
+        const balance = game.getMaterialBalance();
+        state.materialLabels.w.text = balance > 0 ? `+${balance}` : "";
+        state.materialLabels.b.text = balance < 0 ? `+${-balance}` : "";
+    }
+
+    // --- Sound ---
+    // Effects are bundled in the sounds/ folder next to Chess.js and played from one positional
+    // source that moves to the square where the action is.
+    const SOUNDS = {
+        move: 'move.wav', capture: 'capture.wav', castle: 'castle.wav', check: 'check.wav',
+        promotion: 'promotion.wav', gameOver: 'gameover.wav'
+    };
+
+    function getSoundUrl(name) {
+        const file = 'sounds/' + SOUNDS[name];
+        return currentScript ? new URL(file, currentScript.src).href : file;
+    }
+
+    async function createSoundSource() {
+        if (!BS.BanterAudioSource) return;
+        try {
+            const obj = await new BS.GameObject("ChessSound").Async();
+            await obj.SetParent(state.boardRoot, false);
+            state.soundTransform = await obj.AddComponent(new BS.Transform());
+            state.soundTransform.localPosition = new BS.Vector3(0, 0.2, 0);
+            state.soundSource = await obj.AddComponent(new BS.BanterAudioSource(config.volume, 1, false, false, false, false, false, false));
+            state.soundSource.spatialBlend = 1; // Fully positional, so it's heard from the board
+        } catch (err) {
+            console.warn("Sound effects unavailable:", err);
+        }
+    }
+
+    // Sounds wait for the synced game to be loaded, so joining mid-game is quiet.
+    function playSound(name, squareId) {
+        if (!state.soundSource || !state.synced) return;
+        state.soundTransform.localPosition = squareId ? getSquarePos(squareId) : new BS.Vector3(0, 0.2, 0);
+        state.soundSource.PlayOneShotFromUrl(getSoundUrl(name));
+    }
+
+    // One sound for a change to the game: the end of it, or else the latest move, check first.
+    function playMoveSound(move, ended) {
+        if (ended) return playSound('gameOver', move ? move.to : null);
+        if (!move) return;
+        let name = 'move';
+        if (state.game.chess.in_check()) name = 'check';
+        else if (move.promotion) name = 'promotion';
+        else if (move.flags.includes('k') || move.flags.includes('q')) name = 'castle';
+        else if (move.captured) name = 'capture';
+        playSound(name, move.to);
+    }
+
+    // --- Piece Animation ---
+    function squareDistance(a, b) {
+        const df = a.charCodeAt(0) - b.charCodeAt(0);
+        const dr = parseInt(a[1]) - parseInt(b[1]);
+        return df * df + dr * dr;
+    }
+
+    function lerp(a, b, t) { return a + (b - a) * t; }
+
+    // Moves (and optionally scales) a transform over `config.moveDuration`, hopping by `hopHeight`
+    // at the midpoint. Starting a new animation on the same object cancels the previous one.
+    function animateTransform(go, trans, fromPos, toPos, toScale, hopHeight) {
+        const fromScale = trans.localScale || new BS.Vector3(1, 1, 1);
+        const token = {};
+        go.animation = token;
+        if (config.moveDuration <= 0) {
+            trans.localPosition = toPos;
+            if (toScale) trans.localScale = toScale;
+            return Promise.resolve();
+        }
+        const start = Date.now();
+        return new Promise(resolve => {
+            const step = () => {
+                if (go.animation !== token) return resolve();
+                const t = Math.min(1, (Date.now() - start) / config.moveDuration);
+                const eased = t * t * (3 - 2 * t);
+                trans.localPosition = new BS.Vector3(
+                    lerp(fromPos.x, toPos.x, eased),
+                    lerp(fromPos.y, toPos.y, eased) + Math.sin(Math.PI * t) * hopHeight,
+                    lerp(fromPos.z, toPos.z, eased));
+                if (toScale) {
+                    trans.localScale = new BS.Vector3(lerp(fromScale.x, toScale.x, eased), lerp(fromScale.y, toScale.y, eased), lerp(fromScale.z, toScale.z, eased));
+                }
+                if (t < 1) setTimeout(step, 20);
+                else resolve();
+            };
+            step();
+        });
+    }
+
+    async function removePiece(piece) {
+        const trans = piece.GetComponent(BS.ComponentType.Transform);
+        if (trans && trans.localPosition) {
+            const from = trans.localPosition;
+            const to = new BS.Vector3(from.x, from.y - 0.3, from.z);
+            await animateTransform(piece, trans, from, to, new BS.Vector3(0.01, 0.01, 0.01), 0);
+        }
+        // Keep it for the next time a piece of this kind is needed, e.g. after a reset.
+        await piece.SetActive(false);
+        poolPiece(piece);
+    }
+
+    function poolPiece(piece) {
+        if (!state.piecePool[piece.pieceType]) state.piecePool[piece.pieceType] = [];
+        state.piecePool[piece.pieceType].push(piece);
+    }
+
+    function takePooledPiece(char, squareId) {
+        const pool = state.piecePool[char];
+        const piece = pool && pool.pop();
+        if (!piece) return null;
+        piece.animation = null;
+        const trans = piece.GetComponent(BS.ComponentType.Transform);
+        if (trans) {
+            trans.localPosition = getPiecePos(squareId, char);
+            trans.localScale = new BS.Vector3(1, 1, 1);
+        }
+        piece.SetActive(true);
+        return piece;
+    }
+
     function setMaterialColor(go, hexColor) {
         if (!go) return;
         const mat = go.GetComponent(BS.ComponentType.BanterMaterial);
@@ -517,8 +2683,8 @@
             const newColor = hexToVector4(hexColor);
             // If board is hidden, adjust tile alpha.
             if (config.hideBoard && go.name.startsWith("Tile_")) {
-                if (hexColor === COLORS.selected || hexColor === COLORS.valid) {
-                    newColor.w = 0.5; // Make selection/valid moves semi-transparent
+                if (hexColor !== COLORS.white && hexColor !== COLORS.black) {
+                    newColor.w = 0.5; // Make selection, valid moves and highlights semi-transparent
                 } else {
                     newColor.w = 0; // Keep normal tiles fully transparent
                 }
@@ -530,49 +2696,425 @@
     }
 
     function handleSquareClick(squareId) {
-        const game = window.chessGame;
+        const game = state.game;
+        if (!state.ready) return; // Still building the board
+        if (state.review || state.promotion || game.isGameOver() || isPuzzleLocked() || !canControl(game.chess.turn())) {
+            // Clicking away from an open promotion picker cancels the move. Moves can't be
+            // made while reviewing, as the board isn't showing the live position.
+            clearSelection();
+            return;
+        }
         if (!state.selectedSquare) {
             if (game.chess.get(squareId)) {
                 state.selectedSquare = squareId;
-                if (state.tiles[squareId]) setMaterialColor(state.tiles[squareId], COLORS.selected);
-                game.getMoves(squareId).forEach(m => {
-                    if (state.tiles[m.to]) setMaterialColor(state.tiles[m.to], COLORS.valid);
-                });
+                paintTiles();
             }
             return;
         }
 
 
-        const move = { from: state.selectedSquare, to: squareId, promotion: 'q' };
-        if (game.makeMove(move)) {
-            const fen = game.getFen();
-            const boardState = { fen: fen };
-            const stateKey = 'chess_game_' + config.instance;
-            BS.BanterScene.GetInstance().SetPublicSpaceProps({ [stateKey]: JSON.stringify(boardState) });
+        const move = { from: state.selectedSquare, to: squareId };
+        const isPromotion = game.getMoves(state.selectedSquare).some(m => m.to === squareId && m.flags.includes('p'));
+        if (isPromotion) {
+            // Hold the move until the player picks a piece.
+            showPromotionPicker(move, game.chess.turn());
+            return;
+        }
+        if (!commitMove(move)) {
+            clearSelection();
+            if (game.chess.get(squareId)) handleSquareClick(squareId); // Retry selection
+        }
+    }
+
+    function commitMove(move) {
+        const game = state.game;
+        const color = game.chess.turn();
+        const before = getGameSnapshot();
+        if (!game.makeMove(move)) return false;
+        if (state.puzzle && !checkPuzzleMove(before)) return false;
+        punchClock(color);
+        state.offer = null; // Moving answers any pending offer
+        publishGameState();
+
+        // Optimistically sync the board for the local player, as the space-state-changed
+        // event might not fire reliably for the client that initiated the change.
+        console.log("Optimistically syncing local board after move.");
+        syncBoard();
+
+        // The syncBoard() call is implicit via the event listener now, but we can clear selection optimistically.
+        clearSelection();
+        updateGameControls();
+        updatePanel();
+        emitGameEvents(before, true);
+        maybeRequestAiMove();
+        if (state.puzzle) continuePuzzle();
+        return true;
+    }
+
+    // --- Promotion Picker ---
+    const PROMOTION_CHOICES = ['q', 'r', 'b', 'n'];
+
+    // --- Grab and Place ---
+    async function makeGrabbable(piece, transform) {
+        if (!BS.BanterGrabHandle) return;
+        try {
+            await piece.AddComponent(new BS.BanterGrabHandle(BS.BanterGrabType.TRIGGER, 0.01));
+            // The drop square is read from the piece's position, which the hand changes in Unity.
+            if (transform.WatchProperties) transform.WatchProperties([BS.PropertyName.localPosition]);
+        } catch (e) {
+            console.warn("Could not make piece grabbable:", e);
+            return;
+        }
+        piece.On('grab', () => onPieceGrab(piece, transform));
+        piece.On('drop', () => onPieceDrop(piece, transform));
+    }
+
+    function getPieceSquare(piece) {
+        return Object.keys(state.pieces).find(key => state.pieces[key] === piece) || null;
+    }
+
+    // Square under a position in board space, or null when it's off the board. Pieces live in
+    // piecesRoot, which sits untransformed at the origin of boardRoot.
+    function getSquareAt(pos) {
+        const file = Math.round((pos.x + state.offset) / state.tileSize);
+        const rank = Math.round((state.offset - pos.z) / state.tileSize) + 1;
+        if (file < 0 || file > 7 || rank < 1 || rank > 8) return null;
+        return `${'abcdefgh'[file]}${rank}`;
+    }
 
-            // Optimistically sync the board for the local player, as the space-state-changed
-            // event might not fire reliably for the client that initiated the change.
-            console.log("Optimistically syncing local board after move.");
-            syncBoard();
+    // Whether the local user may pick up the piece on `square` to move it
+    function canGrab(square) {
+        const game = state.game;
+        const piece = game.chess.get(square);
+        const turn = game.chess.turn();
+        return !!piece && piece.color === turn && state.ready && !state.review && !state.promotion && !game.isGameOver() && !isPuzzleLocked() && canControl(turn);
+    }
 
-            // The syncBoard() call is implicit via the event listener now, but we can clear selection optimistically.
-            clearSelection();
-        } else {
+    function onPieceGrab(piece, transform) {
+        piece.animation = null; // Stop any glide so it doesn't fight the hand
+        const square = getPieceSquare(piece);
+        if (!square || !canGrab(square)) return;
+        // Show where it can go, as if it had been clicked.
+        state.selectedSquare = square;
+        stopHover();
+        state.hover = { square: null, timer: setInterval(() => updateHover(square, transform), HOVER_INTERVAL) };
+        paintTiles();
+    }
+
+    // While a piece is carried, the legal square under it is lit in the selected colour, so the
+    // player can see where it will land.
+    const HOVER_INTERVAL = 100; // Milliseconds between checks of where a held piece is
+
+    function updateHover(from, transform) {
+        const over = getSquareAt(transform.localPosition);
+        const square = over && state.game.getMoves(from).some(m => m.to === over) ? over : null;
+        if (!state.hover || state.hover.square === square) return;
+        state.hover.square = square;
+        paintTiles();
+    }
+
+    function stopHover() {
+        if (!state.hover) return;
+        clearInterval(state.hover.timer);
+        state.hover = null;
+    }
+
+    function onPieceDrop(piece, transform) {
+        const game = state.game;
+        stopHover();
+        const from = getPieceSquare(piece);
+        const dropped = transform.localPosition;
+        const to = getSquareAt(dropped);
+        transform.localEulerAngles = new BS.Vector3(0, 0, 0);
+        const snapBack = () => {
+            if (from) animateTransform(piece, transform, dropped, getPiecePos(from, piece.pieceType), null, 0);
             clearSelection();
-            if (game.chess.get(squareId)) handleSquareClick(squareId); // Retry selection
+        };
+        if (!from || !to || to === from || !canGrab(from)) return snapBack();
+
+        const move = { from, to };
+        if (game.getMoves(from).some(m => m.to === to && m.flags.includes('p'))) {
+            // The piece waits on its square while the player picks what to promote to.
+            snapBack();
+            showPromotionPicker(move, game.chess.turn());
+            return;
         }
+        piece.heldPosition = dropped;
+        if (!commitMove(move)) {
+            piece.heldPosition = null;
+            snapBack();
+        }
+    }
+
+    // One picker per colour is built up front and hidden, then moved above the promotion
+    // square whenever it's needed.
+    async function createPromotionPickers() {
+        await Promise.all(['w', 'b'].map(async (color) => {
+            const root = await new BS.GameObject(`PromotionPicker_${color}`).Async();
+            await root.SetParent(state.boardRoot, false);
+            await root.SetActive(false);
+            const trans = await root.AddComponent(new BS.Transform());
+            await Promise.all(PROMOTION_CHOICES.map(async (type, i) => {
+                const char = color === 'w' ? type.toUpperCase() : type;
+                const piece = await createPiece(char, 'a1', root, () => choosePromotion(type));
+                const pieceTrans = piece && piece.GetComponent(BS.ComponentType.Transform);
+                if (pieceTrans) pieceTrans.localPosition = new BS.Vector3((i - 1.5) * 0.3, 0, 0);
+            }));
+            state.promotionPickers[color] = { root, trans };
+        }));
+    }
+
+    function showPromotionPicker(move, color) {
+        const picker = state.promotionPickers[color];
+        if (!picker) return;
+        state.promotion = { move, color };
+        const pos = getSquarePos(move.to);
+        picker.trans.localPosition = new BS.Vector3(pos.x, pos.y + 0.5, pos.z);
+        picker.root.SetActive(true);
+    }
+
+    function choosePromotion(type) {
+        const pending = state.promotion;
+        if (!pending) return;
+        const move = Object.assign({}, pending.move, { promotion: type });
+        if (!commitMove(move)) clearSelection();
+    }
+
+    function closePromotionPicker() {
+        const pending = state.promotion;
+        if (!pending) return;
+        state.promotion = null;
+        state.promotionPickers[pending.color].root.SetActive(false);
     }
 
     function clearSelection() {
+        closePromotionPicker();
+        stopHover();
         state.selectedSquare = null;
-        const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
-        for (let x = 0; x < 8; x++) {
-            for (let z = 0; z < 8; z++) {
-                const id = `${letters[x]}${z + 1}`;
-                const isWhite = (x + z) % 2 === 1;
-                if (state.tiles[id]) setMaterialColor(state.tiles[id], isWhite ? COLORS.white : COLORS.black);
+        paintTiles();
+    }
+
+    // Colour of a tile without any selection: puzzle feedback beats check beats last move
+    // beats the plain square.
+    function getTileColor(squareId) {
+        const game = getDisplayedGame();
+        const feedback = state.tileFeedback;
+        if (feedback && !state.review && feedback.squares.includes(squareId)) return feedback.color;
+        if (squareId === game.getCheckedKingSquare()) return COLORS.check;
+        const lastMove = game.getLastMove();
+        if (lastMove && (squareId === lastMove.from || squareId === lastMove.to)) return COLORS.highlight;
+        const x = squareId.charCodeAt(0) - 97;
+        const z = parseInt(squareId[1]) - 1;
+        return (x + z) % 2 === 1 ? COLORS.white : COLORS.black;
+    }
+
+    // Repaints every tile from the game state and the current selection. Only tiles whose
+    // colour actually changes are touched.
+    function paintTiles() {
+        const colors = {};
+        for (const id of Object.keys(state.tiles)) colors[id] = getTileColor(id);
+        if (state.selectedSquare) {
+            colors[state.selectedSquare] = COLORS.selected;
+            state.game.getMoves(state.selectedSquare).forEach(m => { colors[m.to] = COLORS.valid; });
+            if (state.hover && state.hover.square) colors[state.hover.square] = COLORS.selected;
+        }
+        for (const [id, color] of Object.entries(colors)) {
+            const tile = state.tiles[id];
+            if (!tile || tile.tileColor === color) continue;
+            tile.tileColor = color;
+            setMaterialColor(tile, color);
+        }
+    }
+
+    // --- State Protocol ---
+    // Every write carries the protocol version, a sequence number one higher than the last
+    // state this client saw, and the writer's uid. The value stored in the space is the
+    // authority: clients adopt it unless it is older than what they already have.
+    const PROTOCOL_VERSION = 2;
+
+    function publishGameState(overrides) {
+        const user = getLocalUser();
+        if (!state.gameId) state.gameId = newGameId();
+        state.seq += 1;
+        state.lastBy = user ? user.uid : null;
+        writeGameState(buildGameState(overrides));
+    }
+
+    // The local game as a state payload, stamped with the current seq and writer
+    function buildGameState(overrides) {
+        const game = state.game;
+        // `fen` is kept alongside the full history so older clients still follow the game.
+        return Object.assign({
+            v: PROTOCOL_VERSION, seq: state.seq, by: state.lastBy,
+            fen: game.getFen(), startFen: game.getStartFen(), moves: game.getHistory(), seats: state.seats,
+            clock: state.clock, result: game.result, variant: game.variant, offer: state.offer, gameId: state.gameId,
+            puzzle: state.puzzle, match: state.match
+        }, overrides);
+    }
+
+    function writeGameState(boardState) {
+        state.lastPublished = boardState;
+        const stateKey = 'chess_game_' + config.instance;
+        BS.BanterScene.GetInstance().SetPublicSpaceProps({ [stateKey]: JSON.stringify(boardState) });
+    }
+
+    // Upgrades payloads from older clients ({ fen } snapshots, or histories without a
+    // sequence number) to the current shape. They count as the next write after the state this
+    // client has, and carry no writer, so they're checked like any anonymous write: a move only
+    // goes through for an open seat.
+    function migrateGameState(gameState) {
+        if (gameState.v === PROTOCOL_VERSION) return gameState;
+        const migrated = Object.assign({}, gameState, { v: PROTOCOL_VERSION, seq: state.seq + 1, by: null });
+        if (!Array.isArray(gameState.moves)) {
+            const move = gameState.fen && findMoveToFen(state.game, gameState.fen);
+            const start = new ChessGame();
+            if (move) {
+                // A snapshot one move on from ours is that move, so the history carries on.
+                start.setVariant(state.game.variant);
+                start.loadHistory(state.game.getStartFen(), state.game.getHistory().concat(move));
+            } else if (gameState.fen === 'reset') {
+                // Every client migrates this on its own, so a new Chess960 deal would differ on
+                // each; they all keep the current one instead.
+                loadStartPosition(start, state.game.variant.seed);
+            } else if (gameState.fen) {
+                start.loadFen(gameState.fen);
+            }
+            migrated.variant = start.variant;
+            migrated.startFen = start.getStartFen();
+            migrated.moves = start.getHistory();
+            if (move) migrated.gameId = state.gameId;
+        }
+        return migrated;
+    }
+
+    // The SAN of the legal move in `game` that leads to the position in `fen`, if there is one
+    function findMoveToFen(game, fen) {
+        const position = (fen) => fen.split(' ').slice(0, 2).join(' ');
+        for (const move of game.chess.moves({ verbose: true })) {
+            const probe = new ChessAdapter(game.chess.fen());
+            probe.move(move);
+            if (position(probe.fen()) === position(fen)) return move.san;
+        }
+        return null;
+    }
+
+    // Color of the side that played the last of `moves` from `startFen`
+    function getMoverColor(startFen, moves) {
+        const startTurn = (startFen || DEFAULT_FEN).split(' ')[1];
+        const other = startTurn === 'w' ? 'b' : 'w';
+        return (moves.length - 1) % 2 === 0 ? startTurn : other;
+    }
+
+    function receiveGameState(raw) {
+        const gameState = migrateGameState(raw);
+        if (gameState.seq < state.seq) {
+            console.warn(`Ignoring stale game state (seq ${gameState.seq}, have ${state.seq}).`);
+            restoreGameState(gameState);
+            return;
+        }
+        if (isEarlyFlag(gameState)) {
+            console.log("Waiting for the local clock before ending the game on time.");
+            state.pendingFlag = gameState;
+            return;
+        }
+        if (!isValidUpdate(gameState)) {
+            console.warn(`Ignoring a move or change ${gameState.by} may not make.`);
+            restoreGameState(gameState);
+            return;
+        }
+        // Equal sequence numbers mean a concurrent write; adopting the stored value makes
+        // every client converge on whichever write the space kept.
+        state.seq = gameState.seq;
+        state.lastBy = gameState.by;
+        state.received = true;
+        state.pendingFlag = null;
+        applyGameState(gameState);
+    }
+
+    // A stale or rejected write is still what the space holds, so late joiners would load it.
+    // One client puts the state everyone accepted back, with a higher seq so it wins: whoever
+    // wrote that state, or the lowest uid in the space if they have left.
+    function restoreGameState(rejected) {
+        const present = getPresentUids();
+        const keeper = state.lastBy && present.includes(state.lastBy) ? state.lastBy : present[0];
+        if (!state.seq || !isLocalUser({ uid: keeper })) return;
+        // Over a stale write our own seq already wins; a rejected one needs a higher seq.
+        state.seq = Math.max(state.seq, rejected.seq + 1);
+        writeGameState(buildGameState());
+    }
+
+    // An update that adds moves to the local history must be legal, and its writer must be
+    // allowed to play the last of them (earlier ones may come from writes this client missed,
+    // e.g. when joining). Its other changes are checked by isAllowedChange(). Replacing the
+    // game mid-game (a reset or import) needs mayReset(); an accepted takeback and the game
+    // after a finished one don't.
+    function isValidUpdate(gameState) {
+        // The first state a client loads is taken as it is: until then it only has its own
+        // opening position, e.g. a Chess960 deal.
+        if (!state.received) return true;
+        const game = state.game;
+        const current = game.getHistory();
+        const moves = gameState.moves;
+        const sameStart = (gameState.startFen || DEFAULT_FEN) === game.getStartFen();
+        const sameGame = sameStart && !(gameState.gameId && state.gameId && gameState.gameId !== state.gameId);
+        const isPrefix = (longer, shorter) => shorter.every((san, i) => san === longer[i]);
+        const continues = sameGame && moves.length >= current.length && isPrefix(moves, current);
+        if (!continues) {
+            if (sameGame && isPrefix(current, moves) && isAcceptedTakeback(gameState)) return true;
+            if (game.result || (state.puzzle && state.puzzle.done)) return true;
+            return mayReset(gameState.by);
+        }
+        const addsMoves = moves.length > current.length;
+        if (!isAllowedChange(gameState, addsMoves)) return false;
+        if (!addsMoves || isPuzzleReply(moves)) return true;
+        if (!mayMove(getMoverColor(gameState.startFen, moves), gameState.by)) return false;
+        const probe = new ChessGame();
+        probe.setVariant(gameState.variant || game.variant);
+        return probe.loadHistory(game.getStartFen(), moves);
+    }
+
+    // Within a game, the seats, the pending offer and the result may only change in ways the
+    // writer is entitled to: taking an empty seat or leaving their own (or releasing one whose
+    // holder has left the space), offering or answering as a seated player, resigning their own
+    // side, agreeing to a draw that was offered, or a result the position itself gives.
+    function isAllowedChange(gameState, addsMoves) {
+        const game = state.game;
+        const by = gameState.by;
+        const seatedAs = (color) => !!state.seats[color] && state.seats[color].uid === by;
+        if (gameState.seats) {
+            for (const color of ['w', 'b']) {
+                const before = state.seats[color];
+                const after = gameState.seats[color] || null;
+                if ((before && before.uid) === (after && after.uid)) continue;
+                const sits = !before && after.uid === by;
+                const leaves = before && !after && (before.uid === by || !isUserPresent(before.uid));
+                if (!sits && !leaves) return false;
             }
         }
+        const offer = gameState.offer || null;
+        if (JSON.stringify(offer) !== JSON.stringify(state.offer)) {
+            // A move cancels a pending offer.
+            if (offer ? state.offer || !seatedAs(offer.by) : !addsMoves && !seatedAs('w') && !seatedAs('b')) return false;
+        }
+        const result = gameState.result;
+        if (!result) return !game.result || addsMoves;
+        if (game.result) return true;
+        if (result.reason === 'timeout') return true; // Checked against the local clock by isEarlyFlag()
+        if (result.reason === 'resignation') return seatedAs(result.winner === 'w' ? 'b' : 'w');
+        if (result.reason === 'agreement') {
+            return !!state.offer && state.offer.type === 'draw' && seatedAs(state.offer.by === 'w' ? 'b' : 'w');
+        }
+        const probe = new ChessGame();
+        probe.setVariant(gameState.variant || game.variant);
+        return probe.loadHistory(game.getStartFen(), gameState.moves) && !!probe.result && probe.result.reason === result.reason;
+    }
+
+    // A takeback written by the seated opponent of whoever asked for it
+    function isAcceptedTakeback(gameState) {
+        const offer = state.offer;
+        if (!offer || offer.type !== 'takeback') return false;
+        const opponent = state.seats[offer.by === 'w' ? 'b' : 'w'];
+        return !!opponent && opponent.uid === gameState.by;
     }
 
     async function getSpaceStateValue(key) {
@@ -586,6 +3128,44 @@
         return null;
     }
 
+    function applyGameState(gameState) {
+        const game = state.game;
+        const before = getGameSnapshot();
+        // A new game, or a finished one whose result was cleared, is replayed from the start:
+        // loadHistory would take a game with no moves yet as a continuation of the old one.
+        const replaced = (gameState.gameId && gameState.gameId !== state.gameId) || (!gameState.result && game.result);
+        if (gameState.seats) applySeats(gameState.seats);
+        if (config.timeControl) state.clock = gameState.clock || newClock();
+        state.offer = gameState.offer || null;
+        if (gameState.gameId) state.gameId = gameState.gameId;
+        if (gameState.puzzle) applyPuzzleState(gameState.puzzle);
+        if (config.match) {
+            state.match = gameState.match || null;
+            updateScoreboard();
+        }
+        const previousFen = game.getFen();
+        // States from before variants existed are standard chess.
+        game.setVariant(gameState.variant || { name: 'standard', seed: null });
+        if (replaced) game.reset();
+        if (!game.loadHistory(gameState.startFen, gameState.moves)) {
+            // Fall back to the position alone rather than leaving the board stale.
+            console.warn("Could not replay synced history, loading FEN instead.");
+            if (gameState.fen) game.loadFen(gameState.fen);
+        }
+        // Results that don't follow from the position (e.g. a loss on time) come from the state.
+        if (gameState.result) game.setResult(gameState.result);
+        updateResultDisplay();
+        syncBoard();
+        if (game.getFen() !== previousFen) clearSelection();
+        // Keep last-move and check highlights in step with remote moves.
+        paintTiles();
+        updateGameControls();
+        updatePanel();
+        emitGameEvents(before, false);
+        emit('sync', getState());
+        maybeRequestAiMove();
+    }
+
     async function setupBanterStateListeners() {
         if (state.listenersSetup) return;
         state.listenersSetup = true;
@@ -597,6 +3177,8 @@
         scene.On("space-state-changed", (e) => {
             const changes = e.detail.changes;
             // The `changes` array contains objects, so we need to check the `property` of each one.
+            if (changes && changes.find(c => c.property === getArchiveKey())) updateLeaderboard();
+            if (changes && changes.find(c => c.property === getLockKey())) applyLock(scene.spaceState.protected && scene.spaceState.protected[getLockKey()]);
             if (changes && changes.find(c => c.property === stateKey)) {
                 const spaceState = scene.spaceState;
                 const val = (spaceState.public && spaceState.public[stateKey]) || (spaceState.protected && spaceState.protected[stateKey]);
@@ -605,14 +3187,7 @@
                     try {
                         const gameState = JSON.parse(val);
                         console.log("Syncing game state from space:", gameState);
-                        if (gameState.fen === 'reset') {
-                            window.chessGame.reset();
-                            syncBoard();
-                            clearSelection();
-                        } else if (gameState.fen) {
-                            window.chessGame.loadFen(gameState.fen);
-                            syncBoard();
-                        }
+                        receiveGameState(gameState);
                     } catch (err) {
                         console.error("Error parsing game state:", err);
                     }
@@ -621,42 +3196,188 @@
         });
 
         // Initial load
+        if (config.lock) applyLock(await getSpaceStateValue(getLockKey()));
         const initialVal = await getSpaceStateValue(stateKey);
         if (initialVal) {
             try {
                 const gameState = JSON.parse(initialVal);
                 console.log("Loaded initial game state:", gameState);
-                if (gameState.fen) {
-                    window.chessGame.loadFen(gameState.fen);
-                    syncBoard();
-                }
+                receiveGameState(gameState);
             } catch (err) {
                 console.error("Error parsing initial game state:", err);
             }
+        } else if (state.game.variant.name === 'chess960') {
+            // The back rank was dealt locally; share it so everyone starts from the same one.
+            publishGameState();
         }
-        
+        state.synced = true;
+        if (config.mode === 'puzzle') startPuzzles();
+        // The computer may be due to move, e.g. when it plays White in a fresh game.
+        maybeRequestAiMove();
+        updateLeaderboard();
+
+        // Seats are held by uid, so watch for seated players leaving or coming back.
+        // A departure can also hand the computer opponent over to another client.
+        scene.On("user-left", (e) => {
+            watchSeatedUsers({ user: e.detail, joined: false });
+            maybeRequestAiMove();
+        });
+        scene.On("user-joined", (e) => watchSeatedUsers({ user: e.detail, joined: true }));
+
         // The board is now synced only through space state changes.
     }
 
-    // --- Scene Logic ---
-    // --- Main Initializer ---
-    async function init() {
-        await loadDependencies();
+    // --- Public API ---
+    // Host scripts reach each board through `window.BanterChess.get(instance)`, so several
+    // boards on one page keep their own games and listeners.
+    function getState() {
+        const game = state.game;
+        return {
+            instance: config.instance,
+            variant: Object.assign({}, game.variant),
+            fen: game.getFen(),
+            startFen: game.getStartFen(),
+            moves: game.getHistory(),
+            turn: game.chess.turn(),
+            check: game.chess.in_check(),
+            result: game.result ? Object.assign({}, game.result) : null,
+            seats: { w: state.seats.w && Object.assign({}, state.seats.w), b: state.seats.b && Object.assign({}, state.seats.b) },
+            clock: state.clock ? { w: getRemainingTime('w'), b: getRemainingTime('b') } : null,
+            match: state.match ? { length: state.match.length, players: state.match.players.map(p => Object.assign({}, p)), scores: getMatchScores(state.match), decided: isMatchDecided(state.match) } : null,
+            puzzle: state.puzzle ? { index: state.puzzle.index, solved: state.puzzle.solved, mistakes: state.puzzle.mistakes, done: state.puzzle.done } : null
+        };
+    }
+
+    function on(event, handler) {
+        if (!state.listeners[event]) state.listeners[event] = [];
+        state.listeners[event].push(handler);
+    }
 
-        // Initialize Game
-        if (!window.chessGame) {
-            window.chessGame = new ChessGame();
+    function off(event, handler) {
+        const handlers = state.listeners[event];
+        if (handlers && handlers.includes(handler)) handlers.splice(handlers.indexOf(handler), 1);
+    }
+
+    function emit(event, detail) {
+        for (const handler of (state.listeners[event] || []).slice()) {
+            try {
+                handler(detail);
+            } catch (err) {
+                console.error(`BanterChess "${event}" listener failed:`, err);
+            }
         }
+    }
 
-        if (window.BS) {
-            BS.BanterScene.GetInstance().On("unity-loaded", async () => {
-                console.log("Banter Unity Loaded. Initializing scene...");
-                // Note: Floor creation removed as per user request. 
-                // Host spaces should provide their own ground/environment.
-                await initializeBoard();
-            });
-        } else {
-            console.error("Banter SDK (BS) not found.");
+    function getGameSnapshot() {
+        const game = state.game;
+        return { gameId: state.gameId, startFen: game.getStartFen(), moves: game.getHistory(), result: game.result };
+    }
+
+    // Tells listeners how the game changed since `before` (a getGameSnapshot()): new moves
+    // and the check they give, a replaced game, or the game ending. `local` is true when the
+    // change was made on this client rather than received from the space.
+    function emitGameEvents(before, local) {
+        const game = state.game;
+        const moves = game.getHistory();
+        // A null id is a game this client set up itself that hasn't been synced yet.
+        const sameGame = before.gameId === null || before.gameId === state.gameId;
+        const continues = sameGame && before.startFen === game.getStartFen() && before.moves.every((san, i) => san === moves[i]);
+        if (!continues) {
+            emit('reset', getState());
+        } else if (moves.length > before.moves.length) {
+            for (let ply = before.moves.length; ply < moves.length; ply++) {
+                const record = game.history[ply];
+                const move = { color: record.color, from: record.from, to: record.to, piece: record.piece, san: record.san };
+                if (record.captured) move.captured = record.captured;
+                if (record.promotion) move.promotion = record.promotion;
+                emit('move', { instance: config.instance, move, ply: ply + 1, fen: game.getFen(), local });
+            }
+            const square = game.getCheckedKingSquare();
+            if (square) emit('check', { instance: config.instance, color: game.chess.turn(), square, local });
+        }
+        // Called once per change on every client, however the change arrived, so each sound
+        // plays exactly once.
+        const added = continues && moves.length > before.moves.length;
+        playMoveSound(added ? game.getLastMove() : null, continues && !!game.result && !before.result);
+        if (game.result && !before.result) {
+            // Imported games that have already ended aren't played here, so aren't recorded.
+            if (continues) {
+                archiveGame();
+                recordMatchGame();
+            }
+            emit('gameOver', { instance: config.instance, result: Object.assign({}, game.result), description: describeResult(game.result), local });
+        }
+    }
+
+    function registerApi() {
+        const api = {
+            instance: config.instance,
+            // Plays a move as SAN ("Nf3") or { from, to, promotion } for the local user, who
+            // must be allowed to move that side. Returns false if the move was not made.
+            move(move) {
+                const game = state.game;
+                if (state.promotion || game.isGameOver() || isPuzzleLocked() || !canControl(game.chess.turn())) return false;
+                return commitMove(move);
+            },
+            reset() {
+                if (!mayReset()) return false;
+                startNewGame(loadStartPosition);
+                return true;
+            },
+            loadFen(fen) {
+                if (!new ChessAdapter().validate_fen((fen || '').trim()).valid) return false;
+                return importGame(fen);
+            },
+            getPgn: exportPgn,
+            importGame,
+            getState,
+            on,
+            off
+        };
+        if (!window.BanterChess) {
+            window.BanterChess = {
+                boards: {},
+                // The board for `instance`, or the first board on the page when omitted
+                get(instance) {
+                    if (instance === undefined) return Object.values(this.boards)[0] || null;
+                    return this.boards[instance] || null;
+                }
+            };
+        }
+        window.BanterChess.boards[config.instance] = api;
+        window.dispatchEvent(new CustomEvent('banterchess-ready', { detail: api }));
+    }
+
+    // --- Scene Logic ---
+    // --- Main Initializer ---
+    async function init() {
+        try {
+            await loadDependencies();
+
+            // Initialize Game. Each board has its own; `window.chessGame` is kept pointing at the
+            // first one for host scripts written before the API existed.
+            state.game = new ChessGame();
+            loadStartPosition(state.game);
+            if (config.mode === 'puzzle') state.puzzlesLoad = loadPuzzles();
+            if (!window.chessGame) window.chessGame = state.game;
+
+            if (window.BS) {
+                BS.BanterScene.GetInstance().On("unity-loaded", async () => {
+                    console.log("Banter Unity Loaded. Initializing scene...");
+                    // Note: Floor creation removed as per user request. 
+                    // Host spaces should provide their own ground/environment.
+                    try {
+                        await initializeBoard();
+                        registerApi();
+                    } catch (err) {
+                        console.error("BanterChess board failed to start:", err);
+                    }
+                });
+            } else {
+                console.error("Banter SDK (BS) not found.");
+            }
+        } catch (err) {
+            console.error("BanterChess can't start:", err.message);
         }
     }
 